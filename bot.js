@@ -1,98 +1,232 @@
-const { Client, GatewayIntentBits, EmbedBuilder } = require('discord.js');
+const { Client, GatewayIntentBits, AttachmentBuilder, Events } = require('discord.js');
 const { ethers } = require('ethers');
 const axios = require('axios');
-
-// 🎯 WORKING CONFIGURATION
-const CONFIG = {
-    DISCORD_TOKEN: process.env.DISCORD_TOKEN,
-    CHANNEL_ID: process.env.CHANNEL_ID,
-    
-    // Hyperliquid blockchain
-    RPC_URL: 'https://rpc.hyperliquid.xyz/evm',
-    TENSHIS_CONTRACT: '0x2420DB6CF531F932ee77F4A0912A60C31251c793',
-    
-    // Monitoring settings
-    CHECK_INTERVAL: 15000, // Check every 15 seconds
-    BLOCK_LOOKBACK: 100,   // Check last 100 blocks each time
-    
-    // Testing
-    TEST_MODE: process.env.TEST_MODE === 'true',
-    TEST_INTERVAL: 45000, // Test sale every 45 seconds
-    
-    // URLs
-    DRIP_BASE_URL: 'https://drip.trade',
-    HYPERLIQUID_EXPLORER: 'https://hyperliquid.cloud.blockscout.com'
-};
+const { CONFIG } = require('./src/config');
+const { BotStore } = require('./src/store');
+const { PriceExtractor } = require('./src/priceExtractor');
+const { SaleClassifier } = require('./src/saleClassifier');
+const { runClassifierFixtures } = require('./src/fixtures');
+const { replayFixtures, runReplayFixtures } = require('./src/replay');
+const { runBackfill, runExport, runHolderSeed } = require('./src/backfill');
+const { CommandHandler } = require('./src/commands');
+const { MetadataResolver } = require('./src/metadata');
+const { createPriceOracle, formatUsd } = require('./src/priceOracle');
+const { createNotificationHub } = require('./src/notifiers');
+const { buildSaleVariables, buildSweepVariables, retractEmbed, renderTemplate } = require('./src/notifiers/template');
+const { buildSweep } = require('./src/sweeps');
+const { formatAmount } = require('./src/stats');
+const { LiveFeed } = require('./src/liveFeed');
+const { DeliveryQueue } = require('./src/deliveryQueue');
+const { ProviderPool } = require('./src/providerPool');
+const { ReorgGuard } = require('./src/reorgGuard');
+const { ActivityDecoder, passesActivityFilters } = require('./src/activity');
+const { MarketAnalytics } = require('./src/analytics');
+const { AlertRules } = require('./src/alertRules');
+const { IdentityResolver, formatParty } = require('./src/identity');
+const { GuildSettings } = require('./src/guildSettings');
+const { EmbedTemplates } = require('./src/templates');
+const { SaleCardRenderer } = require('./src/saleCard');
+const { MarketplaceRegistry } = require('./src/marketplaces');
+const { HolderLedger, movementType } = require('./src/holders');
+const { Metrics } = require('./src/metrics');
+const { createApp } = require('./src/api');
+const { AdminControls } = require('./src/admin');
+const { logger } = require('./src/logger');
 
 class WorkingTenshisBot {
-    constructor() {
-        this.client = new Client({
+    /**
+     * Every option replaces a live dependency, which is how replays run offline:
+     * { provider, client, store, notifiers, priceOracle, saleClassifier, marketplaceEvents, marketplaces, saleCards }
+     */
+    constructor(options = {}) {
+        this.client = options.client || new Client({
             intents: [GatewayIntentBits.Guilds, GatewayIntentBits.GuildMessages]
         });
         
-        this.provider = new ethers.JsonRpcProvider(CONFIG.RPC_URL);
+        this.provider = options.provider || new ProviderPool([...new Set([CONFIG.RPC_URL, ...CONFIG.RPC_URLS])]);
+        this.priceExtractor = new PriceExtractor(this.provider, {
+            marketplaceEvents: options.marketplaceEvents || CONFIG.MARKETPLACE_EVENTS
+        });
+        this.activity = new ActivityDecoder(CONFIG.ACTIVITY_EVENTS);
+        this.marketplaces = options.marketplaces || new MarketplaceRegistry(CONFIG.MARKETPLACES);
+        this.saleClassifier = options.saleClassifier || new SaleClassifier({
+            threshold: CONFIG.SALE_CONFIDENCE_THRESHOLD,
+            knownMarketplaces: [...CONFIG.KNOWN_MARKETPLACES, ...this.marketplaces.addresses()],
+            ignoredContracts: CONFIG.IGNORED_CONTRACTS
+        });
+        this.priceOracle = options.priceOracle || createPriceOracle(CONFIG);
+        this.metadata = new MetadataResolver(this.provider, { ipfsGateway: CONFIG.IPFS_GATEWAY });
+        this.store = options.store || new BotStore({ filePath: CONFIG.DATA_FILE }).load();
+        this.alertRules = new AlertRules(this.store, CONFIG.ALERT_RULES);
+        this.identity = new IdentityResolver(this.provider, this.store, {
+            labels: CONFIG.WALLET_LABELS,
+            nameServiceAddress: CONFIG.NAME_SERVICE_ADDRESS,
+            nameServiceAbi: CONFIG.NAME_SERVICE_ABI
+        });
+        this.reorgGuard = new ReorgGuard(this.store, this.provider, { window: CONFIG.REORG_WINDOW });
+        this.guildSettings = new GuildSettings(this.store);
+        this.templates = new EmbedTemplates({
+            custom: CONFIG.TEMPLATES,
+            layout: CONFIG.EMBED_LAYOUT,
+            locale: CONFIG.LOCALE,
+            localesDir: CONFIG.LOCALES_DIR
+        });
+        this.saleCards = options.saleCards !== undefined
+            ? options.saleCards
+            : (CONFIG.SALE_CARDS ? new SaleCardRenderer({ theme: CONFIG.SALE_CARD_THEME }) : null);
+        this.holders = new HolderLedger(this.store, { reorgWindow: CONFIG.REORG_WINDOW });
+        this.collections = new Map(CONFIG.COLLECTIONS.map(collection => [collection.key, collection]));
+        this.commands = new CommandHandler(this);
+        this.discordEnabled = Boolean(options.client || CONFIG.DISCORD_TOKEN);
+        this.notifier = createNotificationHub(options.notifiers || CONFIG.NOTIFIERS, this.discordEnabled ? this : null);
+        this.analytics = new MarketAnalytics(this, {
+            channelId: CONFIG.ANALYTICS_CHANNEL_ID,
+            floorAlertPercent: CONFIG.FLOOR_ALERT_PERCENT,
+            reportHour: CONFIG.REPORT_HOUR_UTC,
+            weeklyReportDay: CONFIG.WEEKLY_REPORT_DAY
+        });
+        this.deliveryQueue = new DeliveryQueue(this.store, (sales, skip) => this.deliverAndCount(sales, skip), {
+            sendInterval: CONFIG.DELIVERY_INTERVAL,
+            maxAttempts: CONFIG.DELIVERY_MAX_ATTEMPTS
+        });
+        this.admin = new AdminControls(this);
         this.lastProcessedBlock = 0;
-        this.lastSeenTransfers = new Set();
+        this.postingEnabled = true; // Off for historical backfills: sales are stored, never posted
         this.isRunning = false;
+        this.ingestionMode = 'polling';
+        this.pollTimer = null;
+        this.liveFeed = null;
+        this.confirmationWait = null;
+        this.confirmationTarget = 0;
+        this.confirmationAttempts = 0;
+        this.checkInProgress = null;
+        this.checkQueued = false;
         this.salesCount = 0;
         this.checkCount = 0;
         this.startTime = new Date();
+        this.lastSuccessfulCheckAt = null;
+        this.lastCheckError = null;
+        this.headBlock = null;
+        this.metrics = this.setupMetrics();
+        
+        this.admin.apply();
         
-        console.log('🎯 Working Tenshis Sales Bot initialized');
-        console.log(`📋 Contract: ${CONFIG.TENSHIS_CONTRACT}`);
-        console.log(`⏱️ Check interval: ${CONFIG.CHECK_INTERVAL / 1000}s`);
+        logger.info('Working Tenshis Sales Bot initialized', {
+            collections: CONFIG.COLLECTIONS.map(collection => ({
+                name: collection.name,
+                address: collection.address,
+                channelId: collection.channelId
+            })),
+            checkIntervalMs: this.admin.settings.checkInterval,
+            rpcEndpoints: this.provider.endpoints.length,
+            confirmations: CONFIG.CONFIRMATIONS,
+            paused: this.admin.paused || undefined
+        });
     }
 
     async initialize() {
         try {
-            // Validate environment
-            if (!CONFIG.DISCORD_TOKEN || !CONFIG.CHANNEL_ID) {
-                throw new Error('❌ Missing required environment variables');
+            // Validate environment - the Discord bot is optional when other sinks are configured
+            if (this.discordEnabled) {
+                if (!CONFIG.CHANNEL_ID) {
+                    throw new Error('❌ Missing required environment variables');
+                }
+                
+                const unrouted = CONFIG.COLLECTIONS.filter(collection => !collection.channelId);
+                if (unrouted.length > 0) {
+                    throw new Error(`❌ No channel configured for ${unrouted.map(c => c.name).join(', ')}`);
+                }
+                
+                if (this.activity.enabled && !CONFIG.ACTIVITY_CHANNEL_ID) {
+                    throw new Error('❌ ACTIVITY_EVENTS_FILE is set but ACTIVITY_CHANNEL_ID is missing');
+                }
+            } else if (this.notifier.sinks.length === 0) {
+                throw new Error('❌ Set DISCORD_TOKEN or configure at least one notifier');
             }
 
-            console.log('🔒 Environment validated');
+            logger.info('Environment validated');
             
-            // Connect to Discord
-            await this.client.login(CONFIG.DISCORD_TOKEN);
-            console.log('✅ Discord bot connected');
+            if (this.discordEnabled) {
+                // Slash commands
+                this.client.once(Events.ClientReady, () => {
+                    this.commands.register().catch(error => {
+                        logger.error('Failed to register slash commands', { err: error });
+                    });
+                });
+                this.client.on(Events.InteractionCreate, interaction => this.commands.handle(interaction));
+                
+                // A server that removes the bot stops getting sales
+                this.client.on(Events.GuildDelete, guild => {
+                    if (this.guildSettings.remove(guild.id)) {
+                        logger.info('Removed settings for a guild after leaving it', { guild: guild.id });
+                    }
+                });
+                
+                // Connect to Discord
+                await this.client.login(CONFIG.DISCORD_TOKEN);
+                logger.info('Discord bot connected');
+            } else {
+                logger.info('No DISCORD_TOKEN - running with notifier sinks only');
+                
+                if (this.activity.enabled) {
+                    logger.warn('Listings are tracked but not posted - the activity feed posts through the Discord bot');
+                }
+            }
 
             // Test blockchain connection
             await this.testBlockchainConnection();
 
-            // Send startup message
-            await this.sendStartupMessage();
+            if (this.discordEnabled) {
+                // Send startup message
+                await this.sendStartupMessage();
+            }
             
-            // Start monitoring
+            // Start monitoring and the outbound queue
             this.startMonitoring();
+            this.deliveryQueue.start();
+            
+            // Sales whose USD lookup failed before (e.g. rate limited) are valued in the background
+            this.fillMissingUsd().catch(error => logger.error('Could not fill in missing USD values', { err: error }));
             
-            // Set up health monitoring
-            this.setupHealthMonitoring();
+            if (this.discordEnabled) {
+                // Set up health monitoring and market reports
+                this.setupHealthMonitoring();
+                this.analytics.start();
+            }
             
             // Enable test mode if requested
             if (CONFIG.TEST_MODE) {
-                this.setupTestMode();
+                await this.setupTestMode();
             }
             
         } catch (error) {
-            console.error('❌ Failed to initialize:', error.message);
+            logger.error('Failed to initialize', { err: error });
             process.exit(1);
         }
     }
 
     async testBlockchainConnection() {
         try {
-            console.log('🔗 Testing Hyperliquid blockchain connection...');
+            logger.info('Testing Hyperliquid blockchain connection');
             
             const currentBlock = await this.provider.getBlockNumber();
             const network = await this.provider.getNetwork();
             
-            console.log(`✅ Connected to Hyperliquid (Chain ID: ${network.chainId})`);
-            console.log(`📦 Current block: ${currentBlock}`);
+            logger.info('Connected to Hyperliquid', { chainId: network.chainId, blockNumber: currentBlock });
             
-            this.lastProcessedBlock = currentBlock;
+            const savedCursor = this.store.getCursor();
+            
+            if (savedCursor !== null && savedCursor <= currentBlock) {
+                this.lastProcessedBlock = savedCursor;
+                logger.info('Resuming from saved block', { blockNumber: savedCursor, behind: currentBlock - savedCursor });
+            } else {
+                this.lastProcessedBlock = Math.max(0, currentBlock - CONFIG.BLOCK_LOOKBACK);
+                this.store.setCursor(this.lastProcessedBlock);
+                logger.info('No saved cursor, starting behind head', { blockNumber: this.lastProcessedBlock, lookback: CONFIG.BLOCK_LOOKBACK });
+            }
             
         } catch (error) {
-            console.error('❌ Blockchain connection failed:', error.message);
+            logger.error('Blockchain connection failed', { err: error });
             throw error;
         }
     }
@@ -100,53 +234,28 @@ class WorkingTenshisBot {
     async sendStartupMessage() {
         try {
             const channel = await this.client.channels.fetch(CONFIG.CHANNEL_ID);
+            const selection = this.templates.forChannel(channel.id);
+            const strings = this.templates.strings(selection.locale);
             
-            const embed = new EmbedBuilder()
-                .setTitle('🎯 Working Tenshis Bot Online!')
-                .setColor(0x7C3AED)
-                .setDescription('Monitoring Tenshis NFT transfers with proven blockchain polling')
-                .addFields(
-                    {
-                        name: '🎨 Collection',
-                        value: 'Tenshis',
-                        inline: true
-                    },
-                    {
-                        name: '📍 Contract',
-                        value: `\`${CONFIG.TENSHIS_CONTRACT.slice(0, 8)}...\``,
-                        inline: true
-                    },
-                    {
-                        name: '⏱️ Check Interval',
-                        value: `${CONFIG.CHECK_INTERVAL / 1000}s`,
-                        inline: true
-                    },
-                    {
-                        name: '📦 Block Lookback',
-                        value: `${CONFIG.BLOCK_LOOKBACK} blocks`,
-                        inline: true
-                    },
-                    {
-                        name: '🛠️ Method',
-                        value: 'Optimized Blockchain Polling',
-                        inline: true
-                    },
-                    {
-                        name: '🧪 Test Mode',
-                        value: CONFIG.TEST_MODE ? 'ON' : 'OFF',
-                        inline: true
-                    }
-                )
-                .setTimestamp()
-                .setFooter({ 
-                    text: CONFIG.TEST_MODE ? 'Test sales will appear every 45s' : 'Ready to detect sales!'
-                });
+            const embed = this.templates.render('startup', {
+                collectionList: CONFIG.COLLECTIONS
+                    .map(collection => `${collection.name} (\`${collection.address.slice(0, 8)}...\`)`)
+                    .join('\n'),
+                checkInterval: this.admin.settings.checkInterval / 1000,
+                blockLookback: CONFIG.BLOCK_LOOKBACK,
+                method: CONFIG.WS_URL ? strings.methodWebsocket : strings.methodPolling,
+                testMode: CONFIG.TEST_MODE ? strings.on : strings.off,
+                hypeUsd: formatUsd(await this.priceOracle.getUsdPrice('HYPE')) || strings.unavailable,
+                footerNote: CONFIG.TEST_MODE
+                    ? renderTemplate(strings.startupFooterTest, { testInterval: CONFIG.TEST_INTERVAL / 1000 })
+                    : strings.startupFooterReady
+            }, selection);
 
             await channel.send({ embeds: [embed] });
-            console.log('📢 Startup message sent');
+            logger.info('Startup message sent');
             
         } catch (error) {
-            console.error('❌ Failed to send startup message:', error);
+            logger.error('Failed to send startup message', { err: error });
         }
     }
 
@@ -154,7 +263,8 @@ class WorkingTenshisBot {
         if (this.isRunning) return;
         
         this.isRunning = true;
-        console.log(`🔍 Started monitoring every ${CONFIG.CHECK_INTERVAL / 1000} seconds`);
+        const { checkInterval } = this.admin.settings;
+        logger.info('Started monitoring', { checkIntervalMs: checkInterval, paused: this.admin.paused || undefined });
         
         // Initial check after 5 seconds
         setTimeout(() => {
@@ -162,349 +272,1101 @@ class WorkingTenshisBot {
         }, 5000);
         
         // Regular monitoring
-        setInterval(() => {
+        this.setPollInterval(checkInterval);
+        
+        if (CONFIG.WS_URL) {
+            this.startLiveFeed();
+        }
+    }
+
+    setPollInterval(interval) {
+        clearInterval(this.pollTimer);
+        this.pollTimer = setInterval(() => {
             this.checkForTransfers();
-        }, CONFIG.CHECK_INTERVAL);
+        }, interval);
     }
 
+    startLiveFeed() {
+        // Marketplace order events wake the feed too, so listings show up as fast as sales
+        const activity = this.activity.enabled ? this.activity.filter : { address: [], topics: [[]] };
+        
+        this.liveFeed = new LiveFeed({
+            url: CONFIG.WS_URL,
+            addresses: [...CONFIG.COLLECTIONS.map(collection => collection.address), ...(activity.address || [])],
+            topics: [[ethers.id("Transfer(address,address,uint256)"), ...activity.topics[0]]],
+            stallTimeout: CONFIG.WS_STALL_TIMEOUT
+        });
+        
+        this.liveFeed.on('connected', () => {
+            this.ingestionMode = 'websocket';
+            this.setPollInterval(CONFIG.SAFETY_POLL_INTERVAL);
+            logger.info('Real-time mode on', { safetyPollMs: CONFIG.SAFETY_POLL_INTERVAL });
+            this.checkForTransfers();
+        });
+        
+        this.liveFeed.on('log', (log) => this.awaitConfirmation(log.blockNumber));
+        
+        this.liveFeed.on('stalled', () => {
+            if (this.ingestionMode !== 'polling') {
+                this.ingestionMode = 'polling';
+                this.setPollInterval(this.admin.settings.checkInterval);
+                logger.warn('Fell back to polling', { checkIntervalMs: this.admin.settings.checkInterval });
+            }
+        });
+        
+        this.liveFeed.start();
+    }
+
+    // The log's block needs CONFIRMATIONS more blocks (and the HTTP RPC can lag the socket), so
+    // keep looking for a little while until the cursor has passed it. A burst of logs shares one
+    // wait: a later block only raises the target and gives the wait a fresh set of attempts
+    awaitConfirmation(blockNumber) {
+        if (this.confirmationWait && blockNumber <= this.confirmationTarget) return this.confirmationWait;
+        
+        this.confirmationTarget = Math.max(this.confirmationTarget, blockNumber);
+        this.confirmationAttempts = 0;
+        if (this.confirmationWait) return this.confirmationWait;
+        
+        this.confirmationWait = (async () => {
+            try {
+                await this.checkForTransfers();
+                
+                while (this.lastProcessedBlock < this.confirmationTarget && this.confirmationAttempts++ < CONFIG.CONFIRMATIONS + 5) {
+                    await new Promise(resolve => setTimeout(resolve, 1000));
+                    await this.checkForTransfers();
+                }
+            } finally {
+                this.confirmationWait = null;
+            }
+        })();
+        
+        return this.confirmationWait;
+    }
+
+    // Only one scan runs at a time; a request that arrives mid-scan runs once right after it
     async checkForTransfers() {
+        if (this.checkInProgress) {
+            this.checkQueued = true;
+            return this.checkInProgress;
+        }
+        
+        this.checkInProgress = (async () => {
+            do {
+                this.checkQueued = false;
+                // Paused from the admin controls: the cursor stays put and resuming catches up
+                if (!this.admin.paused) await this.scanNewBlocks();
+            } while (this.checkQueued);
+        })();
+        
+        try {
+            await this.checkInProgress;
+        } finally {
+            this.checkInProgress = null;
+        }
+    }
+
+    // Runs a one-off job (an admin rescan) in place of a check, so it never races the cursor
+    async runBetweenChecks(job) {
+        while (this.checkInProgress) {
+            await this.checkInProgress;
+        }
+        
+        const run = job();
+        this.checkInProgress = run.catch(() => {});
+        
+        try {
+            return await run;
+        } finally {
+            this.checkInProgress = null;
+            if (this.checkQueued) this.checkForTransfers();
+        }
+    }
+
+    async scanNewBlocks() {
         this.checkCount++;
-        const timestamp = new Date().toISOString();
+        const startedAt = Date.now();
+        const checkLog = logger.child({ check: this.checkCount });
         
-        console.log(`🔍 [${timestamp}] Check #${this.checkCount} - Scanning for Tenshis transfers...`);
+        checkLog.debug('Scanning for transfers', { collections: this.collections.size });
         
         try {
+            await this.handleReorgs();
+            
+            // Only scan blocks with enough confirmations on top of them
             const currentBlock = await this.provider.getBlockNumber();
+            this.headBlock = currentBlock;
+            const safeBlock = currentBlock - CONFIG.CONFIRMATIONS;
             
-            // Calculate block range
-            const fromBlock = Math.max(
-                this.lastProcessedBlock + 1,
-                currentBlock - CONFIG.BLOCK_LOOKBACK
-            );
-            const toBlock = currentBlock;
+            // Resume from the saved cursor
+            const fromBlock = this.lastProcessedBlock + 1;
+            const toBlock = Math.min(safeBlock, fromBlock + CONFIG.MAX_BACKFILL_BLOCKS - 1);
             
             if (fromBlock > toBlock) {
-                console.log(`📭 No new blocks to scan`);
+                checkLog.debug('No new blocks to scan');
+                this.recordCheck(startedAt, null);
                 return;
             }
             
-            console.log(`📦 Scanning blocks ${fromBlock} to ${toBlock} (${toBlock - fromBlock + 1} blocks)`);
-
-            // Get Transfer events for Tenshis contract
-            const transferEventSignature = ethers.id("Transfer(address,address,uint256)");
+            if (toBlock < safeBlock) {
+                checkLog.info('Backfilling', { remaining: safeBlock - toBlock });
+            }
             
-            const logs = await this.provider.getLogs({
-                address: CONFIG.TENSHIS_CONTRACT,
-                topics: [transferEventSignature],
-                fromBlock,
-                toBlock
-            });
+            checkLog.debug('Scanning blocks', { fromBlock, toBlock });
+            
+            for (let chunkStart = fromBlock; chunkStart <= toBlock; chunkStart += CONFIG.BACKFILL_CHUNK_SIZE) {
+                const chunkEnd = Math.min(chunkStart + CONFIG.BACKFILL_CHUNK_SIZE - 1, toBlock);
+                
+                await this.scanRange(chunkStart, chunkEnd);
 
-            console.log(`📋 Found ${logs.length} Transfer events`);
+                // Remember the hash we scanned against so a later reorg can be spotted
+                const chunkBlock = await this.provider.getBlock(chunkEnd);
+                this.reorgGuard.remember(chunkEnd, chunkBlock && chunkBlock.hash);
 
-            if (logs.length > 0) {
-                await this.processTransferEvents(logs);
-            } else {
-                console.log(`📭 No transfers found in scanned blocks`);
+                // Only advance the cursor once the whole chunk has been handled
+                this.lastProcessedBlock = chunkEnd;
+                this.store.setCursor(chunkEnd);
             }
 
-            this.lastProcessedBlock = currentBlock;
-            console.log(`✅ [${timestamp}] Check #${this.checkCount} completed successfully`);
+            checkLog.debug('Check completed', { durationMs: Date.now() - startedAt });
+            this.recordCheck(startedAt, null);
+            this.holders.snapshotIfDue([...this.collections.values()]);
             
         } catch (error) {
-            console.error(`❌ [${timestamp}] Check #${this.checkCount} failed:`, error.message);
+            checkLog.error('Check failed', { err: error });
+            this.recordCheck(startedAt, error);
+        }
+    }
+
+    recordCheck(startedAt, error) {
+        const result = error ? 'error' : 'ok';
+        this.metrics.observe('check_duration_seconds', (Date.now() - startedAt) / 1000, { result });
+        this.metrics.inc('checks_total', { result });
+
+        if (error) {
+            this.lastCheckError = { message: error.message, at: Date.now() };
+        } else {
+            this.lastSuccessfulCheckAt = Date.now();
+        }
+    }
+
+    // Processes one chunk of blocks; the caller owns the cursor. A `rescan` looks at transfers
+    // again even if they were handled before; sales that are already stored are not re-posted.
+    async scanRange(fromBlock, toBlock, { activity = true, rescan = false } = {}) {
+        // Get Transfer events for every watched collection in one call
+        const logs = await this.provider.getLogs({
+            address: CONFIG.COLLECTIONS.map(collection => collection.address),
+            topics: [ethers.id("Transfer(address,address,uint256)")],
+            fromBlock,
+            toBlock
+        });
+
+        logger.debug('Found Transfer events', { count: logs.length, fromBlock, toBlock });
+
+        if (logs.length > 0) {
+            await this.processTransferEvents(logs, { rescan });
+        }
+        
+        // The order feed is extra: a failing activity scan is logged and skipped for this chunk,
+        // so it can never hold the Transfer cursor back
+        if (activity && this.activity.enabled) {
+            try {
+                const activityLogs = await this.provider.getLogs({
+                    ...this.activity.filter,
+                    fromBlock,
+                    toBlock
+                });
+                
+                if (activityLogs.length > 0) {
+                    logger.info('Found marketplace order events', { count: activityLogs.length, fromBlock, toBlock });
+                    await this.processActivityEvents(activityLogs);
+                }
+            } catch (error) {
+                logger.error('Marketplace order scan failed, skipping these blocks for the activity feed', { fromBlock, toBlock, err: error });
+            }
         }
     }
 
-    async processTransferEvents(logs) {
-        console.log(`🔄 Processing ${logs.length} transfer events...`);
+    async processTransferEvents(logs, { rescan = false } = {}) {
+        logger.info('Processing transfer events', { count: logs.length, rescan: rescan || undefined });
         
-        let newSales = 0;
+        const detected = [];
+        const holderEvents = [];
+        let ledgerChanged = false;
 
         for (const log of logs) {
+            // Every entry about this transfer carries its txHash
+            const txLog = logger.child({ txHash: log.transactionHash });
+            
             try {
-                console.log(`🔍 Processing log: ${JSON.stringify({
-                    address: log.address,
-                    topics: log.topics,
-                    data: log.data,
-                    blockNumber: log.blockNumber,
-                    txHash: log.transactionHash
-                })}`);
+                txLog.debug('Processing Transfer log', { address: log.address, blockNumber: log.blockNumber, logIndex: log.logIndex });
 
-                // Decode Transfer event - handle both indexed and non-indexed versions
-                let from, to, tokenId;
+                const { from, to, tokenId } = this.decodeTransferLog(log, txLog);
                 
-                if (log.topics.length >= 4) {
-                    // Standard ERC-721: Transfer(address indexed from, address indexed to, uint256 indexed tokenId)
-                    from = ethers.getAddress('0x' + log.topics[1].slice(26)); // Remove padding
-                    to = ethers.getAddress('0x' + log.topics[2].slice(26));   // Remove padding
-                    tokenId = BigInt(log.topics[3]).toString();              // TokenId from topics
-                    console.log(`📋 Decoded from topics: from=${from}, to=${to}, tokenId=${tokenId}`);
-                } else if (log.data && log.data !== '0x' && log.data.length > 2) {
-                    // Non-standard format - try to decode from data
-                    try {
-                        const decoded = ethers.AbiCoder.defaultAbiCoder().decode(
-                            ['address', 'address', 'uint256'],
-                            log.data
-                        );
-                        [from, to, tokenId] = [decoded[0], decoded[1], decoded[2].toString()];
-                        console.log(`📋 Decoded from data: from=${from}, to=${to}, tokenId=${tokenId}`);
-                    } catch (dataError) {
-                        console.log(`⚠️ Could not decode from data, trying topics...`);
-                        if (log.topics.length >= 3) {
-                            from = '0x' + log.topics[1].slice(26);
-                            to = '0x' + log.topics[2].slice(26);
-                            tokenId = log.topics[3] ? BigInt(log.topics[3]).toString() : 'Unknown';
-                            console.log(`📋 Decoded from topics (fallback): from=${from}, to=${to}, tokenId=${tokenId}`);
-                        } else {
-                            throw new Error(`Cannot decode transfer event: insufficient topics and data`);
-                        }
-                    }
-                } else {
-                    throw new Error(`Transfer event has no usable data: topics=${log.topics.length}, data=${log.data}`);
+                const collection = this.collections.get(log.address.toLowerCase());
+                if (!collection) {
+                    txLog.warn('Ignoring log from unwatched contract', { address: log.address });
+                    continue;
                 }
                 
-                // Skip minting (from 0x0)
-                if (from === '0x0000000000000000000000000000000000000000') {
-                    console.log(`⚪ Skipping mint: Tenshis #${tokenId}`);
+                // Every move updates the holder ledger; mints and burns are never sales
+                const movement = this.holders.apply(collection, {
+                    from,
+                    to,
+                    tokenId,
+                    blockNumber: log.blockNumber,
+                    logIndex: log.logIndex
+                });
+                ledgerChanged = ledgerChanged || movement !== null;
+                
+                const type = movementType(from, to);
+                if (type !== 'transfer') {
+                    txLog.debug(`Skipping ${type}`, { collection: collection.name, tokenId });
+                    // Only moves the ledger had not seen yet are announced, so rescans stay quiet
+                    if (movement) {
+                        holderEvents.push({ type, collection, tokenId, from, to, txHash: log.transactionHash });
+                    }
                     continue;
                 }
 
                 const transferData = {
+                    collection: collection.address,
                     tokenId: tokenId,
                     from,
                     to,
                     blockNumber: log.blockNumber,
+                    blockHash: log.blockHash,
                     txHash: log.transactionHash,
                     logIndex: log.logIndex
                 };
 
                 const transferId = this.generateTransferId(transferData);
                 
-                if (!this.lastSeenTransfers.has(transferId)) {
-                    console.log(`🔄 NEW TRANSFER: Tenshis #${transferData.tokenId} (Block ${transferData.blockNumber})`);
-                    console.log(`   From: ${this.shortenAddress(from)} → To: ${this.shortenAddress(to)}`);
+                const seen = this.store.hasSeen(transferId);
+                
+                if (!seen || rescan) {
+                    // Any move of the token (sale or not) ends the listing it had at the time
+                    if (!seen) this.store.removeListing(collection.address, tokenId, { blockNumber: log.blockNumber, logIndex: log.logIndex });
+                    
+                    txLog.info('New transfer', {
+                        collection: collection.name,
+                        tokenId,
+                        from,
+                        to,
+                        blockNumber: transferData.blockNumber
+                    });
                     
                     // Analyze if this is a potential sale
-                    const saleInfo = await this.analyzePotentialSale(transferData);
+                    const saleInfo = await this.analyzePotentialSale(transferData, txLog);
                     
                     if (saleInfo.isSale) {
-                        newSales++;
-                        console.log(`🎉 SALE DETECTED: Tenshis #${transferData.tokenId}`);
-                        console.log(`   Confidence: ${saleInfo.confidence}%`);
-                        console.log(`   Price: ${saleInfo.price || 'Unknown'}`);
+                        txLog.info('Sale detected', {
+                            collection: collection.name,
+                            tokenId,
+                            confidence: saleInfo.confidence,
+                            price: saleInfo.price || undefined
+                        });
                         
                         const enrichedSale = {
                             ...transferData,
                             ...saleInfo,
-                            timestamp: Date.now()
+                            timestamp: saleInfo.timestamp || Date.now()
                         };
                         
-                        await this.postSaleToDiscord(enrichedSale);
-                        this.salesCount++;
+                        // Marked as seen only once queued below, so a crash before then re-detects it
+                        detected.push({ sale: enrichedSale, id: transferId });
                     } else {
-                        console.log(`📋 Regular transfer (confidence: ${saleInfo.confidence}%)`);
+                        txLog.info('Regular transfer', { collection: collection.name, tokenId, confidence: saleInfo.confidence });
+                        this.store.markSeen(transferId);
                     }
                     
-                    this.lastSeenTransfers.add(transferId);
-                    
                     // Small delay between processing
                     await new Promise(resolve => setTimeout(resolve, 100));
                 } else {
-                    console.log(`📋 Already processed: ${transferId}`);
+                    txLog.debug('Already processed', { transferId });
                 }
                 
             } catch (error) {
-                console.error(`❌ Error processing transfer:`, error.message);
-                console.error(`❌ Log details:`, JSON.stringify(log, null, 2));
+                txLog.error('Error processing transfer', { blockNumber: log.blockNumber, logIndex: log.logIndex, err: error });
                 // Continue processing other events instead of failing
                 continue;
             }
         }
 
-        if (newSales > 0) {
-            console.log(`✅ Detected and posted ${newSales} sales`);
-        }
-
-        // Memory cleanup
-        if (this.lastSeenTransfers.size > 1000) {
-            const oldTransfers = Array.from(this.lastSeenTransfers).slice(0, 500);
-            this.lastSeenTransfers = new Set(oldTransfers);
-            console.log('🧹 Cleaned up old transfers from memory');
-        }
+        if (ledgerChanged) this.store.save();
+        
+        this.queueDetectedSales(detected);
+        await this.postHolderEvents(holderEvents);
     }
 
-    async analyzePotentialSale(transferData) {
+    // Mints and burns grouped per transaction, e.g. "🌱 5x Tenshis minted"
+    async postHolderEvents(events) {
+        const channelId = CONFIG.HOLDER_EVENTS_CHANNEL_ID;
+        const wanted = events.filter(event => CONFIG.HOLDER_EVENTS.includes(event.type));
+        if (!this.postingEnabled || !this.discordEnabled || !channelId || wanted.length === 0) return;
+        
+        const groups = new Map();
+        for (const event of wanted) {
+            const key = `${event.txHash}-${event.collection.key}-${event.type}`;
+            if (!groups.has(key)) groups.set(key, []);
+            groups.get(key).push(event);
+        }
+        
         try {
-            console.log(`🔍 Analyzing TX ${transferData.txHash.slice(0, 10)}... for sale indicators`);
-            
-            const tx = await this.provider.getTransaction(transferData.txHash);
-            const receipt = await this.provider.getTransactionReceipt(transferData.txHash);
+            const channel = await this.client.channels.fetch(channelId);
+            const selection = this.templates.forChannel(channel.id);
             
-            const analysis = {
-                isSale: false,
-                price: null,
-                marketplace: null,
-                confidence: 0
-            };
+            for (const group of groups.values()) {
+                await channel.send({ embeds: [this.buildHolderEventEmbed(group, selection)] });
+            }
+        } catch (error) {
+            logger.error('Failed to post mints/burns', { err: error });
+        }
+    }
+
+    // One mint or burn post per transaction, rendered as the `mint` or `burn` kind
+    buildHolderEventEmbed(group, selection = {}) {
+        const [first] = group;
+        const { collection } = first;
+        const summary = this.holders.summary(collection, 0);
+        
+        return this.templates.render(first.type, {
+            collection: collection.name,
+            subject: group.length > 1 ? `${group.length}x ${collection.name}` : `${collection.name} #${first.tokenId}`,
+            wallet: this.shortenAddress(first.type === 'mint' ? first.to : first.from),
+            holders: summary.holders.toLocaleString('en-US'),
+            supply: summary.supply.toLocaleString('en-US'),
+            tokenIds: group.map(event => `#${event.tokenId}`).join(', '),
+            txUrl: `${CONFIG.HYPERLIQUID_EXPLORER}/tx/${first.txHash}`
+        }, selection);
+    }
 
-            // Factor 1: Transaction has value (payment included)
-            if (tx.value && tx.value > 0) {
-                analysis.price = `${ethers.formatEther(tx.value)} HYPE`;
-                analysis.confidence += 40;
-                console.log(`   💰 Payment included: ${analysis.price} (+40%)`);
+    // Decodes a Transfer event - handle both indexed and non-indexed versions
+    decodeTransferLog(log, txLog = logger) {
+        let from, to, tokenId;
+        
+        if (log.topics.length >= 4) {
+            // Standard ERC-721: Transfer(address indexed from, address indexed to, uint256 indexed tokenId)
+            from = ethers.getAddress('0x' + log.topics[1].slice(26)); // Remove padding
+            to = ethers.getAddress('0x' + log.topics[2].slice(26));   // Remove padding
+            tokenId = BigInt(log.topics[3]).toString();              // TokenId from topics
+            txLog.debug('Decoded Transfer from topics', { from, to, tokenId });
+        } else if (log.data && log.data !== '0x' && log.data.length > 2) {
+            // Non-standard format - try to decode from data
+            try {
+                const decoded = ethers.AbiCoder.defaultAbiCoder().decode(
+                    ['address', 'address', 'uint256'],
+                    log.data
+                );
+                [from, to, tokenId] = [decoded[0], decoded[1], decoded[2].toString()];
+                txLog.debug('Decoded Transfer from data', { from, to, tokenId });
+            } catch (dataError) {
+                txLog.warn('Could not decode Transfer from data, trying topics', { err: dataError });
+                if (log.topics.length >= 3) {
+                    from = '0x' + log.topics[1].slice(26);
+                    to = '0x' + log.topics[2].slice(26);
+                    tokenId = log.topics[3] ? BigInt(log.topics[3]).toString() : 'Unknown';
+                    txLog.debug('Decoded Transfer from topics (fallback)', { from, to, tokenId });
+                } else {
+                    throw new Error(`Cannot decode transfer event: insufficient topics and data`);
+                }
             }
+        } else {
+            throw new Error(`Transfer event has no usable data: topics=${log.topics.length}, data=${log.data}`);
+        }
+        
+        return { from, to, tokenId };
+    }
 
-            // Factor 2: Transaction involves marketplace contract
-            if (tx.to && tx.to !== CONFIG.TENSHIS_CONTRACT && tx.to !== transferData.from) {
-                const code = await this.provider.getCode(tx.to);
-                if (code !== '0x') {
-                    analysis.marketplace = tx.to;
-                    analysis.confidence += 30;
-                    console.log(`   🏪 Via marketplace: ${this.shortenAddress(tx.to)} (+30%)`);
+    // Listings, offers and delists: decoded, priced, tracked for the floor, then filtered
+    // and posted to the activity channel when the Discord bot is on
+    async processActivityEvents(logs) {
+        const blockTimes = new Map();
+        
+        for (const log of logs) {
+            const activityId = `activity-${log.transactionHash}-${log.logIndex}`;
+            if (this.store.hasSeen(activityId)) continue;
+            
+            try {
+                const activity = this.activity.decode(log);
+                if (!activity) continue;
+                
+                // Events without a collection field are assumed to be for the first collection
+                if (activity.collection && !this.collections.has(activity.collection.toLowerCase())) {
+                    this.store.markSeen(activityId);
+                    continue;
+                }
+                activity.collection = this.getCollection(activity.collection).address;
+                
+                if (!blockTimes.has(log.blockNumber)) {
+                    const block = await this.provider.getBlock(log.blockNumber);
+                    blockTimes.set(log.blockNumber, block ? block.timestamp * 1000 : Date.now());
+                }
+                activity.timestamp = blockTimes.get(log.blockNumber);
+                
+                if (activity.priceRaw !== null) {
+                    Object.assign(activity, await this.priceExtractor.buildPrice(activity.priceRaw, activity.currencyAddress, 'activity-event'));
+                    Object.assign(activity, await this.priceOracle.valueInUsd(activity.priceAmount, activity.currency, activity.timestamp));
+                }
+                
+                this.trackListing(activity);
+                
+                if (!passesActivityFilters(activity, CONFIG.ACTIVITY_FILTERS)) {
+                    logger.debug(`Filtered out ${activity.type}`, { txHash: log.transactionHash, tokenId: activity.tokenId || undefined, price: activity.price || undefined });
+                } else if (this.discordEnabled) {
+                    await this.postActivityToDiscord(activity);
                 }
+                
+                this.store.markSeen(activityId);
+                
+            } catch (error) {
+                logger.error('Error processing marketplace order event', { txHash: log.transactionHash, err: error });
             }
+        }
+    }
+
+    trackListing(activity) {
+        if (!activity.tokenId) return;
+        
+        if (activity.type === 'delist') {
+            this.store.removeListing(activity.collection, activity.tokenId, activity);
+        } else if (activity.type === 'listing' && typeof activity.priceAmount === 'number') {
+            this.store.setListing(activity.collection, activity.tokenId, {
+                tokenId: activity.tokenId,
+                price: activity.price,
+                priceAmount: activity.priceAmount,
+                currency: activity.currency,
+                maker: activity.maker,
+                expiresAt: activity.expiresAt,
+                timestamp: activity.timestamp,
+                blockNumber: activity.blockNumber,
+                logIndex: activity.logIndex
+            });
+        }
+    }
 
-            // Factor 3: Multiple events in transaction (marketplace complexity)
-            if (receipt.logs.length > 2) {
-                analysis.confidence += 15;
-                console.log(`   📋 Complex transaction: ${receipt.logs.length} events (+15%)`);
+    // Groups same-tx purchases by one buyer, then records and queues them
+    queueDetectedSales(detected) {
+        const groups = new Map();
+        
+        for (const entry of detected) {
+            const key = `${entry.sale.txHash}-${entry.sale.collection}-${entry.sale.to}`.toLowerCase();
+            if (!groups.has(key)) groups.set(key, []);
+            groups.get(key).push(entry);
+        }
+        
+        for (const group of groups.values()) {
+            // A rescan after a reorg can re-detect a sale that was already posted
+            const fresh = group.filter(entry => {
+                // ...or one an admin deleted, which must stay down
+                const existing = this.store.data.sales.find(sale =>
+                    (!sale.retracted || sale.deleted) &&
+                    sale.txHash === entry.sale.txHash &&
+                    sale.collection === entry.sale.collection &&
+                    sale.tokenId === entry.sale.tokenId
+                );
+                if (existing) this.store.markSeen(entry.id);
+                return !existing;
+            });
+            if (fresh.length === 0) continue;
+
+            const sales = fresh.map(entry => entry.sale);
+            const ids = fresh.map(entry => entry.id);
+            const first = sales[0];
+            
+            sales.forEach(sale => {
+                this.recordSale(sale);
+                if (this.postingEnabled) this.reorgGuard.remember(sale.blockNumber, sale.blockHash);
+            });
+            
+            if (!this.postingEnabled) {
+                ids.forEach(id => this.store.markSeen(id));
+                continue;
             }
+            
+            // With a sweep window, hold the post so the same buyer's next purchases can join it
+            this.deliveryQueue.enqueue(sales, ids, CONFIG.SWEEP_WINDOW_MS > 0 ? {
+                holdMs: CONFIG.SWEEP_WINDOW_MS,
+                mergeKey: `${first.collection}-${first.to}`.toLowerCase(),
+                mergeWindowMs: CONFIG.SWEEP_WINDOW_MS
+            } : {});
+            
+            ids.forEach(id => this.store.markSeen(id));
+            this.salesCount += sales.length;
+            this.metrics.inc('sales_detected_total', { collection: this.getCollection(first.collection).name }, sales.length);
+        }
+        
+        if (detected.length > 0) {
+            logger.info(`Detected and ${this.postingEnabled ? 'queued' : 'stored'} sales`, { count: detected.length });
+        }
+    }
 
-            // Factor 4: High gas usage (marketplace transactions)
-            if (receipt.gasUsed > 80000) {
-                analysis.confidence += 15;
-                console.log(`   ⛽ High gas usage: ${receipt.gasUsed} (+15%)`);
+    /**
+     * Rewinds the cursor to where the chain forked and retracts every sale that only
+     * existed on the orphaned branch. Sales whose tx was re-included elsewhere just
+     * have their block details updated; the rescan finds everything else again.
+     * A missing receipt alone is not proof: the sale is only retracted once its block is
+     * seen with another hash. When the RPC cannot tell yet, nothing is changed and the
+     * next check tries again.
+     */
+    async handleReorgs() {
+        const forkBlock = await this.reorgGuard.findForkBlock();
+        if (forkBlock === null) return;
+
+        const affected = this.store.data.sales.filter(sale => sale.blockNumber >= forkBlock && !sale.retracted);
+        const outcomes = [];
+
+        for (const sale of affected) {
+            const receipt = await this.provider.getTransactionReceipt(sale.txHash);
+
+            if (receipt && receipt.status === 1) {
+                outcomes.push({ sale, receipt });
+                continue;
+            }
+            if (receipt) {
+                outcomes.push({ sale, retract: true }); // Re-included, but reverted this time
+                continue;
             }
 
-            // Determine if it's likely a sale (lowered threshold for sensitivity)
-            if (analysis.confidence >= 30) {
-                analysis.isSale = true;
-                console.log(`   ✅ LIKELY SALE (${analysis.confidence}% confidence)`);
+            const block = await this.provider.getBlock(sale.blockNumber);
+            if (!block) {
+                logger.warn('Reorg suspected but the RPC is missing blocks, checking again next time', {
+                    forkBlock,
+                    txHash: sale.txHash,
+                    blockNumber: sale.blockNumber
+                });
+                return;
+            }
+            outcomes.push({ sale, retract: block.hash !== sale.blockHash });
+        }
+
+        logger.warn('Chain reorg detected, rewinding cursor', { forkBlock });
+
+        this.reorgGuard.forget(forkBlock);
+        this.holders.rewind(forkBlock);
+        if (this.lastProcessedBlock >= forkBlock) {
+            this.lastProcessedBlock = forkBlock - 1;
+            this.store.setCursor(this.lastProcessedBlock);
+        }
+
+        for (const { sale, receipt, retract } of outcomes) {
+            if (receipt) {
+                this.store.updateSale(sale.id, { blockNumber: receipt.blockNumber, blockHash: receipt.blockHash });
+                logger.info(`#${sale.tokenId} survived the reorg`, { txHash: sale.txHash, blockNumber: receipt.blockNumber });
+            } else if (retract) {
+                await this.retractSale(sale);
             } else {
-                console.log(`   📊 Probably transfer (${analysis.confidence}% confidence)`);
+                logger.warn(`#${sale.tokenId} has no receipt but its block is unchanged, keeping it`, { txHash: sale.txHash });
             }
+        }
+    }
+
+    async retractSale(sale) {
+        logger.warn(`Retracting ${this.getCollection(sale.collection).name} #${sale.tokenId}: its block was orphaned`, { txHash: sale.txHash });
+
+        this.deliveryQueue.cancel(sale.id);
+        this.store.updateSale(sale.id, { retracted: true, retractedAt: Date.now() });
+        this.salesCount = Math.max(0, this.salesCount - 1);
+
+        const { refs, isSweepItem } = this.postsOf(sale);
+        await this.notifier.retractSale({ ...sale, isSweepItem }, refs, this.retractContext());
+    }
+
+    // Takes a sale down for good (admin delete): its posts are deleted, or marked removed when
+    // they are a sweep post that shows other sales too, and a rescan will not post it again
+    async deleteSale(sale) {
+        this.deliveryQueue.cancel(sale.id);
+        this.store.updateSale(sale.id, { retracted: true, deleted: true, retractedAt: Date.now() });
+        this.salesCount = Math.max(0, this.salesCount - 1);
+
+        const { refs, isSweepItem } = this.postsOf(sale);
+        if (isSweepItem) {
+            await this.notifier.retractSale({ ...sale, isSweepItem, retractedBy: 'admin' }, refs, this.retractContext());
+        } else {
+            await this.notifier.removeSale(sale, refs);
+        }
+    }
+
+    // What retracting sinks need to word the note in the language they post in
+    retractContext() {
+        return { strings: locale => this.templates.strings(locale) };
+    }
+
+    // What each sink returned when posting the sale, and whether that post was a sweep
+    postsOf(sale) {
+        // Refs from a per-sale delivery are keyed `${sink}:${saleId}`; plain keys are shared posts
+        const delivery = sale.delivery || {};
+        const refs = {};
+        for (const [key, ref] of Object.entries(delivery.messages || {})) {
+            const [sink, id] = key.split(/:(.+)/);
+            if (!id || id === sale.id) refs[sink] = ref;
+        }
+
+        return { refs, isSweepItem: (delivery.batchSize || 1) >= CONFIG.SWEEP_THRESHOLD };
+    }
 
+    async analyzePotentialSale(transferData, txLog = logger.child({ txHash: transferData.txHash })) {
+        try {
+            txLog.debug('Analyzing transaction for sale indicators');
+            
+            const tx = await this.provider.getTransaction(transferData.txHash);
+            const receipt = await this.provider.getTransactionReceipt(transferData.txHash);
+            
+            const analysis = await this.classifyTransaction(transferData, tx, receipt, txLog);
+            
+            if (analysis.isSale) {
+                // Value the sale at its block time so stored figures never drift
+                const block = await this.provider.getBlock(receipt.blockNumber);
+                analysis.timestamp = block ? block.timestamp * 1000 : Date.now();
+                
+                Object.assign(analysis, await this.priceOracle.valueInUsd(
+                    analysis.priceAmount,
+                    analysis.currency,
+                    analysis.timestamp
+                ));
+                
+                // Which venue it was on, and how the price split into proceeds, fee and royalty
+                Object.assign(analysis, this.marketplaces.attribute(
+                    { ...transferData, ...analysis },
+                    this.getCollection(transferData.collection)
+                ));
+            }
+            
             return analysis;
             
         } catch (error) {
-            console.error(`❌ Error analyzing transaction:`, error.message);
-            return { isSale: false, price: null, marketplace: null, confidence: 0 };
+            txLog.error('Error analyzing transaction', { err: error });
+            return { isSale: false, price: null, marketplace: null, confidence: 0, reasons: [] };
+        }
+    }
+
+    async classifyTransaction(transferData, tx, receipt, txLog = logger.child({ txHash: transferData.txHash })) {
+        const payment = await this.priceExtractor.extract({
+            tx,
+            receipt,
+            transfer: transferData,
+            collection: transferData.collection
+        });
+        
+        const verdict = await this.saleClassifier.classify({
+            tx,
+            receipt,
+            transfer: transferData,
+            payment
+        });
+
+        for (const reason of verdict.reasons) {
+            txLog.debug(`Rule ${reason.rule}`, {
+                matched: reason.matched,
+                veto: reason.veto || undefined,
+                required: reason.required || undefined,
+                weight: reason.weight || undefined,
+                detail: reason.detail
+            });
         }
+
+        txLog.debug(verdict.isSale ? 'Likely sale' : 'Probably a transfer', {
+            confidence: verdict.confidence,
+            threshold: this.saleClassifier.threshold
+        });
+
+        return {
+            price: null,
+            ...payment,
+            ...verdict
+        };
+    }
+
+    async notifySale(saleData) {
+        const context = await this.buildSaleContext(saleData);
+        return this.notifier.notifySale(saleData, context);
     }
 
-    async postSaleToDiscord(saleData) {
+    /**
+     * Called by the delivery queue; `skip` lists sinks that already have this job.
+     * At or above SWEEP_THRESHOLD the sales go out as one sweep post, otherwise one
+     * post each - sink keys are then suffixed with the sale ID so retries stay per post.
+     */
+    async deliverSales(sales, skip = []) {
+        if (sales.length >= CONFIG.SWEEP_THRESHOLD) {
+            const sweep = buildSweep(sales);
+            const context = await this.buildSweepContext(sweep);
+            return this.notifier.notifySale(sweep, context, { skip });
+        }
+        
+        if (sales.length === 1) {
+            const context = await this.buildSaleContext(sales[0]);
+            return this.notifier.notifySale(sales[0], context, { skip });
+        }
+        
+        const results = [];
+        
+        for (const sale of sales) {
+            const suffix = `:${this.generateTransferId(sale)}`;
+            const context = await this.buildSaleContext(sale);
+            const saleResults = await this.notifier.notifySale(sale, context, {
+                skip: skip.filter(key => key.endsWith(suffix)).map(key => key.slice(0, -suffix.length))
+            });
+            
+            results.push(...saleResults.map(result => ({ ...result, sink: result.sink + suffix })));
+        }
+        
+        return results;
+    }
+
+    // Counts every post attempt per sink (without the per-sale suffix) for /metrics
+    async deliverAndCount(sales, skip) {
+        const results = await this.deliverSales(sales, skip);
+
+        for (const result of results) {
+            this.metrics.inc('posts_total', { sink: result.sink.split(':')[0], result: result.ok ? 'ok' : 'error' });
+        }
+
+        return results;
+    }
+
+    // Everything sinks need to render a sale, resolved once and shared between them
+    async buildSaleContext(saleData) {
+        const collection = this.getCollection(saleData.collection);
+        const metadata = saleData.isTest ? null : await this.metadata.resolve(collection, saleData.tokenId);
+        const marketplace = this.marketplaces.links(saleData, collection);
+        const links = {
+            txUrl: `${CONFIG.HYPERLIQUID_EXPLORER}/tx/${saleData.txHash}`,
+            marketplaceUrl: marketplace.url
+        };
+        const alert = saleData.isTest ? null : this.alertRules.evaluate(saleData);
+        const parties = saleData.isTest ? null : await this.identity.describeParties(saleData, collection);
+        const context = { kind: 'sale', collection, metadata, links, marketplace, alert, parties };
+
+        context.variables = buildSaleVariables(saleData, context);
+        context.buildEmbed = (selection = {}) => this.buildSaleEmbed(saleData, context, selection);
+        context.buildCard = this.cardBuilder(saleData, context);
+
+        return context;
+    }
+
+    async buildSweepContext(sweep) {
+        const collection = this.getCollection(sweep.collection);
+        const metadata = await this.metadata.resolve(collection, sweep.tokenId);
+        const marketplace = this.marketplaces.links(sweep, collection);
+        const links = {
+            txUrl: `${CONFIG.HYPERLIQUID_EXPLORER}/tx/${sweep.txHash}`,
+            marketplaceUrl: marketplace.url
+        };
+        const context = {
+            kind: 'sweep',
+            collection,
+            metadata,
+            links,
+            marketplace,
+            alert: this.alertRules.evaluate(sweep),
+            parties: await this.identity.describeParties(sweep, collection)
+        };
+
+        context.variables = buildSweepVariables(sweep, context);
+        context.buildEmbed = (selection = {}) => this.buildSweepEmbed(sweep, context, selection);
+        context.buildCard = this.cardBuilder(sweep, context);
+
+        return context;
+    }
+
+    // The sale card PNG, rendered on first use and shared by every sink; null when cards are off or fail
+    cardBuilder(sale, context) {
+        let card = null;
+
+        return () => {
+            if (!this.saleCards) return Promise.resolve(null);
+
+            card = card || this.saleCards.render(sale, context).catch(error => {
+                logger.error(`Could not render sale card for #${sale.tokenId}`, { txHash: sale.txHash, err: error });
+                return null;
+            });
+            return card;
+        };
+    }
+
+    async postSaleToDiscord(saleData, context = null) {
         try {
-            console.log(`📤 Posting Tenshis #${saleData.tokenId} sale to Discord...`);
+            context = context || await this.buildSaleContext(saleData);
+            const { collection } = context;
             
-            const channel = await this.client.channels.fetch(CONFIG.CHANNEL_ID);
+            const label = saleData.isSweep ? `${saleData.count}x ${collection.name} sweep` : `${collection.name} #${saleData.tokenId} sale`;
             
-            const embed = new EmbedBuilder()
-                .setTitle(`${saleData.isTest ? '🧪 TEST: ' : '🎉 '}Tenshis #${saleData.tokenId} Sale Detected!`)
-                .setColor(saleData.isTest ? 0xffaa00 : 0x7C3AED)
-                .setTimestamp()
-                .addFields(
-                    {
-                        name: '🆔 Token ID',
-                        value: saleData.tokenId,
-                        inline: true
-                    },
-                    {
-                        name: '💰 Price',
-                        value: saleData.price || 'Unknown',
-                        inline: true
-                    },
-                    {
-                        name: '📊 Confidence',
-                        value: `${saleData.confidence || 100}%`,
-                        inline: true
-                    },
-                    {
-                        name: '👤 From',
-                        value: `\`${this.shortenAddress(saleData.from)}\``,
-                        inline: true
-                    },
-                    {
-                        name: '🛒 To',
-                        value: `\`${this.shortenAddress(saleData.to)}\``,
-                        inline: true
-                    },
-                    {
-                        name: '📦 Block',
-                        value: saleData.blockNumber ? saleData.blockNumber.toString() : 'Test',
-                        inline: true
-                    }
-                );
-
-            // Add transaction link
-            if (saleData.txHash && !saleData.isTest) {
-                embed.addFields({
-                    name: '🔗 Transaction',
-                    value: `[View on Explorer](${CONFIG.HYPERLIQUID_EXPLORER}/tx/${saleData.txHash})`,
-                    inline: true
-                });
+            const postLog = logger.child({ txHash: saleData.txHash });
+            postLog.debug(`Posting ${label} to Discord`);
+            
+            const channel = await this.client.channels.fetch(collection.channelId);
+            const card = await context.buildCard();
+            const files = card ? [new AttachmentBuilder(card, { name: 'sale-card.png' })] : undefined;
+            
+            // Each channel gets the layout and language picked for it, rendered once per combination
+            const embeds = new Map();
+            const embedFor = (channelId, guild = null) => {
+                const selection = this.templates.forChannel(channelId, guild);
+                const key = `${selection.layout}:${selection.locale}`;
+                if (!embeds.has(key)) {
+                    const embed = context.buildEmbed(selection);
+                    embeds.set(key, card ? embed.setImage('attachment://sale-card.png') : embed);
+                }
+                return embeds.get(key);
+            };
+            
+            const payload = { embeds: [embedFor(channel.id)], files };
+            
+            // Alerts ping their roles and post a copy to any dedicated alerts channel
+            const { alert } = context;
+            if (alert && alert.roleIds.length > 0) {
+                payload.content = alert.roleIds.map(roleId => `<@&${roleId}>`).join(' ');
+                payload.allowedMentions = { roles: alert.roleIds };
             }
 
-            // Add marketplace link
-            if (!saleData.isTest) {
-                embed.addFields({
-                    name: '🏪 Marketplace',
-                    value: `[View on Drip.Trade](${CONFIG.DRIP_BASE_URL}/collections/tenshis/${saleData.tokenId})`,
-                    inline: true
+            const message = await channel.send(payload);
+            postLog.info(`Posted ${label} to Discord`, { channelId: channel.id, messageId: message.id });
+            
+            // Copies: rule alert channels (with the role pings), then each subscribed guild's sales and alerts channels
+            const targets = (alert ? alert.channelIds : []).map(channelId => ({
+                channelId,
+                payload: { ...payload, embeds: [embedFor(channelId)] },
+                reason: 'alerts channel'
+            }));
+            
+            // Test sales stay in our own channels
+            for (const guild of saleData.isTest ? [] : this.guildSettings.subscribers(saleData)) {
+                targets.push({
+                    channelId: guild.salesChannelId,
+                    payload: { embeds: [embedFor(guild.salesChannelId, guild)], files },
+                    guildId: guild.guildId,
+                    reason: `guild ${guild.guildId}`
                 });
+                
+                if (alert && guild.alertChannelId) {
+                    targets.push({
+                        channelId: guild.alertChannelId,
+                        payload: { embeds: [embedFor(guild.alertChannelId, guild)], files },
+                        guildId: guild.guildId,
+                        reason: `guild ${guild.guildId} alerts`
+                    });
+                }
             }
-
-            // Add marketplace contract if detected
-            if (saleData.marketplace) {
-                embed.addFields({
-                    name: '🏪 Marketplace Contract',
-                    value: `\`${this.shortenAddress(saleData.marketplace)}\``,
-                    inline: true
-                });
+            
+            const copies = [];
+            const posted = new Set([channel.id]);
+            for (const target of targets) {
+                if (posted.has(target.channelId)) continue;
+                posted.add(target.channelId);
+                
+                try {
+                    const copyChannel = await this.client.channels.fetch(target.channelId);
+                    const copy = await copyChannel.send(target.payload);
+                    copies.push({ channelId: target.channelId, messageId: copy.id, guildId: target.guildId });
+                    postLog.info(`Posted ${label} copy to ${target.reason}`, { channelId: target.channelId });
+                } catch (error) {
+                    // The main post went out, so a failed copy must not trigger a re-post
+                    postLog.error(`Could not post ${label} to ${target.reason}`, { channelId: target.channelId, err: error });
+                }
             }
-
-            embed.setFooter({
-                text: saleData.isTest ? 
-                    `🧪 Test Sale #${this.salesCount} • Testing System` : 
-                    `⛓️ Blockchain Detection • Check #${this.checkCount}`,
-                iconURL: 'https://drip.trade/favicon.ico'
-            });
-
-            await channel.send({ embeds: [embed] });
-            console.log(`✅ Posted Tenshis #${saleData.tokenId} sale to Discord`);
+            
+            return { channelId: channel.id, messageId: message.id, copies };
             
         } catch (error) {
-            console.error('❌ Error posting to Discord:', error);
+            logger.error('Error posting to Discord', { txHash: saleData.txHash, err: error });
+            throw error;
+        }
+    }
+
+    async deleteDiscordPost(ref) {
+        for (const post of [ref, ...(ref.copies || [])]) {
+            const channel = await this.client.channels.fetch(post.channelId);
+            await channel.messages.delete(post.messageId);
+        }
+    }
+
+    // Copies in partner servers carry their guildId, so the note is in that server's language
+    async retractDiscordPost(ref, sale) {
+        for (const post of [ref, ...(ref.copies || [])]) {
+            const channel = await this.client.channels.fetch(post.channelId);
+            const message = await channel.messages.fetch(post.messageId);
+            const [first, ...rest] = message.embeds.map(embed => embed.toJSON());
+            const guild = post.guildId ? this.guildSettings.get(post.guildId) : null;
+            const strings = this.templates.strings(this.templates.forChannel(post.channelId, guild).locale);
+
+            await message.edit({ embeds: [retractEmbed(first, sale, strings), ...rest] });
+        }
+    }
+
+    // Name, short address and post-trade holdings; just the short address when unresolved
+    formatPartyField(context, role, address, strings = {}) {
+        const party = context.parties && context.parties[role];
+        return formatParty(party, context.collection, role, strings) || `\`${this.shortenAddress(address)}\``;
+    }
+
+    // Restyles a sale or sweep embed for the alert rules it matched
+    applyAlertStyle(embed, alert, strings = {}) {
+        if (!alert) return embed;
+
+        if (alert.color !== null) {
+            embed.setColor(alert.color);
+        }
+
+        embed.setTitle(`${alert.title} • ${embed.data.title}`.slice(0, 256));
+        embed.spliceFields(0, 0, {
+            name: strings.alertLabel || '🚨 Alert',
+            value: alert.matches.map(match => `• ${match.detail}`).join('\n').slice(0, 1024),
+            inline: false
+        });
+
+        return embed;
+    }
+
+    async postActivityToDiscord(activity) {
+        const collection = this.getCollection(activity.collection);
+        const metadata = activity.tokenId ? await this.metadata.resolve(collection, activity.tokenId) : null;
+        const channel = await this.client.channels.fetch(CONFIG.ACTIVITY_CHANNEL_ID);
+        const selection = this.templates.forChannel(channel.id);
+        
+        await channel.send({ embeds: [this.buildActivityEmbed(activity, collection, metadata, selection)] });
+        logger.info(`Posted ${activity.type} for ${collection.name} #${activity.tokenId || 'collection'}`, { txHash: activity.txHash });
+    }
+
+    // Listings, offers and delists render as the `listing`, `offer` and `delist` kinds
+    buildActivityEmbed(activity, collection, metadata, selection = {}) {
+        const strings = this.templates.strings(selection.locale);
+        const venue = this.marketplaces.identify({ marketplaceName: activity.marketplace });
+        const marketplace = this.marketplaces.links({
+            venue: venue && venue.key,
+            tokenId: activity.tokenId,
+            isSweep: !activity.tokenId
+        }, collection);
+        
+        const embed = this.templates.render(activity.type, {
+            collection: collection.name,
+            tokenId: activity.tokenId,
+            subject: activity.tokenId
+                ? (metadata ? metadata.name : `${collection.name} #${activity.tokenId}`)
+                : renderTemplate(strings.collectionOffer, { collection: collection.name }),
+            priceWithUsd: activity.price ? `${activity.price}${activity.usdValue ? ` (~${formatUsd(activity.usdValue)})` : ''}` : '',
+            maker: activity.maker ? this.shortenAddress(activity.maker) : '',
+            makerUrl: activity.maker ? `${CONFIG.HYPERLIQUID_EXPLORER}/address/${activity.maker}` : '',
+            expires: activity.expiresAt ? `<t:${Math.floor(activity.expiresAt / 1000)}:R>` : '',
+            marketplace: activity.marketplace,
+            marketplaceSite: marketplace.site.name,
+            marketplaceUrl: marketplace.url,
+            blockNumber: activity.blockNumber,
+            txUrl: `${CONFIG.HYPERLIQUID_EXPLORER}/tx/${activity.txHash}`,
+            image: metadata ? metadata.image : null
+        }, selection);
+        
+        return embed.setTimestamp(activity.timestamp);
+    }
+
+    // Sale posts are rendered from the channel's layout (src/templates.js); these add
+    // the values that need the bot's state or the channel's language
+    buildSaleEmbed(saleData, context, selection = {}) {
+        const { collection, metadata, variables } = context;
+        const strings = this.templates.strings(selection.locale);
+        const traits = this.metadata.pickTraits(metadata, collection.keyTraits);
+        
+        const embed = this.templates.render(saleData.isTest ? 'testSale' : 'sale', {
+            ...variables,
+            ...this.embedVariables(saleData, context, strings),
+            confidence: saleData.confidence || 100,
+            traits: traits.map(trait => `${trait.type}: **${trait.value}**`).join('\n'),
+            rarity: metadata && metadata.rarity ? `#${metadata.rarity.rank} / ${metadata.rarity.total}` : '',
+            // The raw contract is only worth showing when the registry could not name the venue
+            marketplaceContract: saleData.marketplace && !context.marketplace.venue ? `\`${this.shortenAddress(saleData.marketplace)}\`` : '',
+            breakdown: this.formatBreakdown(saleData.breakdown, strings),
+            // Test sales link nowhere
+            txUrl: saleData.isTest ? '' : variables.txUrl,
+            marketplaceUrl: saleData.isTest ? '' : variables.marketplaceUrl
+        }, selection);
+
+        return this.applyAlertStyle(embed, context.alert, strings);
+    }
+
+    buildSweepEmbed(sweep, context, selection = {}) {
+        const { variables } = context;
+        const strings = this.templates.strings(selection.locale);
+        const sellers = renderTemplate(strings.sellerCountValue, { sellerCount: sweep.sellerCount });
+        
+        const embed = this.templates.render('sweep', {
+            ...variables,
+            ...this.embedVariables(sweep, context, strings),
+            perItem: sweep.perItemPrice || strings.unknown,
+            seller: sweep.from ? variables.seller : sellers,
+            sellerDetails: sweep.from ? this.formatPartyField(context, 'seller', sweep.from, strings) : sellers,
+            transactionLinks: sweep.txHashes.length === 1
+                ? `[${strings.viewOnExplorer}](${variables.txUrl})`
+                : renderTemplate(strings.sweepTransactions, { txCount: sweep.txHashes.length, txUrl: variables.txUrl })
+        }, selection);
+
+        return this.applyAlertStyle(embed, context.alert, strings);
+    }
+
+    // Values the sale and sweep templates share
+    embedVariables(sale, context, strings) {
+        return {
+            color: `#${context.collection.color.toString(16).padStart(6, '0')}`,
+            priceWithUsd: sale.price
+                ? `${sale.price}${sale.usdValue ? ` (~${formatUsd(sale.usdValue)})` : ''}`
+                : strings.unknown,
+            sellerDetails: this.formatPartyField(context, 'seller', sale.from, strings),
+            buyerDetails: this.formatPartyField(context, 'buyer', sale.to, strings),
+            checkCount: this.checkCount,
+            salesCount: this.salesCount
+        };
+    }
+
+    // "Seller: 1.9 WHYPE / Marketplace fee: ... / Creator royalty: ..." in the channel's language
+    formatBreakdown(breakdown, strings) {
+        if (!breakdown) return '';
+
+        const amount = value => `${formatAmount(value)} ${breakdown.currency}`;
+        const lines = [renderTemplate(strings.breakdownSeller, { amount: amount(breakdown.sellerProceeds) })];
+
+        if (breakdown.marketplaceFee > 0) {
+            lines.push(renderTemplate(strings.breakdownFee, { amount: amount(breakdown.marketplaceFee), percent: breakdown.marketplaceFeePercent }));
+        }
+        if (breakdown.royalty > 0) {
+            lines.push(renderTemplate(strings.breakdownRoyalty, { amount: amount(breakdown.royalty), percent: breakdown.royaltyPercent }));
+        }
+        if (breakdown.other > 0) {
+            lines.push(renderTemplate(strings.breakdownOther, { amount: amount(breakdown.other) }));
         }
+
+        return lines.join('\n');
     }
 
-    setupTestMode() {
-        console.log('🧪 TEST MODE ENABLED - Simulating sales every 45 seconds');
+    // Cycles through the sales the replay scenarios detect, posted as test sales to every sink
+    async setupTestMode() {
+        let sales = [];
+        try {
+            const results = await replayFixtures(CONFIG.REPLAY_DIR, options => new WorkingTenshisBot(options));
+            sales = results.flatMap(result => result.sales);
+        } catch (error) {
+            logger.error(`Could not replay ${CONFIG.REPLAY_DIR}`, { err: error });
+        }
+        
+        if (sales.length === 0) {
+            logger.warn(`Test mode: no replayed sales found in ${CONFIG.REPLAY_DIR}`);
+            return;
+        }
         
-        let testNumber = 1;
+        logger.info('Test mode enabled, posting replayed sales', { sales: sales.length, testIntervalMs: CONFIG.TEST_INTERVAL });
+        
+        let testNumber = 0;
         
         setInterval(async () => {
             try {
-                const testSale = {
-                    tokenId: (2000 + testNumber).toString(),
-                    price: `${(Math.random() * 1.5 + 0.2).toFixed(3)} HYPE`,
-                    from: '0x' + Math.random().toString(16).substring(2, 42),
-                    to: '0x' + Math.random().toString(16).substring(2, 42),
-                    txHash: '0x' + Math.random().toString(16).substring(2, 66),
-                    confidence: 85,
-                    marketplace: '0x' + Math.random().toString(16).substring(2, 42),
-                    timestamp: Date.now(),
-                    isTest: true
-                };
+                const { delivery, ...recorded } = sales[testNumber % sales.length];
+                const testSale = { ...recorded, timestamp: Date.now(), isTest: true };
 
-                console.log(`🧪 SIMULATING TEST SALE: Tenshis #${testSale.tokenId} for ${testSale.price}`);
+                logger.info(`Replaying test sale ${this.getCollection(testSale.collection).name} #${testSale.tokenId}`, { price: testSale.price });
                 
-                await this.postSaleToDiscord(testSale);
+                await this.notifySale(testSale);
                 this.salesCount++;
                 testNumber++;
                 
             } catch (error) {
-                console.error('❌ Test sale simulation failed:', error);
+                logger.error('Test sale replay failed', { err: error });
             }
         }, CONFIG.TEST_INTERVAL);
     }
@@ -513,58 +1375,151 @@ class WorkingTenshisBot {
         // Health check every 12 hours
         setInterval(async () => {
             const uptime = Math.floor((Date.now() - this.startTime) / 1000 / 60);
-            console.log(`💓 Health: ${uptime}min uptime, ${this.checkCount} checks, ${this.salesCount} sales detected`);
+            logger.info('Health', { uptimeMinutes: uptime, checks: this.checkCount, sales: this.salesCount });
             
             try {
-                const currentBlock = await this.provider.getBlockNumber();
                 const channel = await this.client.channels.fetch(CONFIG.CHANNEL_ID);
-                
-                const embed = new EmbedBuilder()
-                    .setTitle('💓 Tenshis Bot Health Check')
-                    .setColor(0x00ff00)
-                    .addFields(
-                        {
-                            name: '⏱️ Uptime',
-                            value: `${uptime} minutes`,
-                            inline: true
-                        },
-                        {
-                            name: '🔍 Checks Completed',
-                            value: this.checkCount.toString(),
-                            inline: true
-                        },
-                        {
-                            name: '🎉 Sales Detected',
-                            value: this.salesCount.toString(),
-                            inline: true
-                        },
-                        {
-                            name: '📦 Current Block',
-                            value: currentBlock.toString(),
-                            inline: true
-                        },
-                        {
-                            name: '📍 Last Processed',
-                            value: this.lastProcessedBlock.toString(),
-                            inline: true
-                        },
-                        {
-                            name: '🧪 Test Mode',
-                            value: CONFIG.TEST_MODE ? 'Active' : 'Off',
-                            inline: true
-                        }
-                    )
-                    .setTimestamp()
-                    .setFooter({ text: 'Automated health monitoring • Every 12 hours' });
+                const embed = await this.buildStatusEmbed(this.templates.forChannel(channel.id), 'health');
 
                 await channel.send({ embeds: [embed] });
                 
             } catch (error) {
-                console.error('❌ Health check failed:', error);
+                logger.error('Health check failed', { err: error });
             }
         }, 12 * 60 * 60 * 1000); // 12 hours = 12 * 60 * 60 * 1000 milliseconds
     }
 
+    setupMetrics() {
+        return new Metrics()
+            .histogram('check_duration_seconds', 'Duration of block scans', [0.25, 0.5, 1, 2.5, 5, 10, 30, 60])
+            .counter('checks_total', 'Block scans by result')
+            .counter('sales_detected_total', 'Sales detected and queued, by collection')
+            .counter('posts_total', 'Sale posts by sink and result')
+            .counter('rpc_errors_total', 'Failed RPC calls across all endpoints', () => this.provider.errorCount)
+            .gauge('rpc_endpoint_healthy', 'Whether each RPC endpoint is currently healthy', () =>
+                this.provider.health().map(endpoint => ({ labels: { endpoint: endpoint.endpoint, host: endpoint.host }, value: endpoint.healthy ? 1 : 0 }))
+            )
+            .gauge('delivery_queue_depth', 'Sale posts waiting to be delivered', () => this.deliveryQueue.depth())
+            .gauge('delivery_dead_letters', 'Sale posts that gave up after all retries', () => this.deliveryQueue.deadLetters().length)
+            .gauge('block_lag', 'Blocks between the chain head and the scan cursor', () => this.blockLag())
+            .gauge('last_successful_check_timestamp_seconds', 'Unix time of the last successful scan', () =>
+                this.lastSuccessfulCheckAt ? this.lastSuccessfulCheckAt / 1000 : null
+            )
+            .gauge('discord_connected', 'Whether the Discord client is ready', () => (this.client.isReady() ? 1 : 0));
+    }
+
+    blockLag() {
+        return this.headBlock === null ? null : Math.max(0, this.headBlock - this.lastProcessedBlock);
+    }
+
+    // Degraded when Discord is down, scans stopped succeeding, or the cursor fell behind.
+    // While an admin has paused monitoring the cursor is expected to stand still. Error
+    // messages (which can quote RPC URLs) are only included with `detail`, for admins.
+    getHealth({ detail = false } = {}) {
+        const { paused } = this.admin;
+        const checkAge = this.lastSuccessfulCheckAt ? Date.now() - this.lastSuccessfulCheckAt : null;
+        const blockLag = this.blockLag();
+        const problems = [];
+
+        if (this.discordEnabled && !this.client.isReady()) {
+            problems.push('Discord is not connected');
+        }
+        // Allow the first check a full window after boot before calling it stale
+        if (paused) {
+            // Not a problem: an admin asked for it, and /health says so below
+        } else if (checkAge === null ? Date.now() - this.startTime > CONFIG.HEALTH_MAX_CHECK_AGE : checkAge > CONFIG.HEALTH_MAX_CHECK_AGE) {
+            problems.push('No successful check recently');
+        }
+        if (!paused && blockLag !== null && blockLag > CONFIG.HEALTH_MAX_BLOCK_LAG) {
+            problems.push(`Scan cursor is ${blockLag} blocks behind`);
+        }
+
+        return {
+            status: problems.length === 0 ? 'healthy' : 'degraded',
+            problems,
+            discord: this.discordEnabled ? (this.client.isReady() ? 'connected' : 'disconnected') : 'disabled',
+            ingestion: this.ingestionMode,
+            paused,
+            lastSuccessfulCheck: this.lastSuccessfulCheckAt ? new Date(this.lastSuccessfulCheckAt).toISOString() : null,
+            lastCheckError: detail || !this.lastCheckError ? this.lastCheckError : { at: this.lastCheckError.at },
+            headBlock: this.headBlock,
+            lastProcessedBlock: this.lastProcessedBlock,
+            blockLag,
+            deliveryQueue: { depth: this.deliveryQueue.depth(), deadLetters: this.deliveryQueue.deadLetters().length },
+            rpc: this.provider.health({ detail }),
+            timestamp: new Date().toISOString()
+        };
+    }
+
+    // `kind` is 'status' for /status, 'health' for the 12-hourly post
+    async buildStatusEmbed(selection = {}, kind = 'status') {
+        const strings = this.templates.strings(selection.locale);
+        
+        return this.templates.render(kind, {
+            uptime: Math.floor((Date.now() - this.startTime) / 1000 / 60),
+            checkCount: this.checkCount,
+            salesCount: this.salesCount,
+            currentBlock: await this.provider.getBlockNumber(),
+            lastProcessedBlock: this.lastProcessedBlock,
+            testMode: CONFIG.TEST_MODE ? strings.on : strings.off,
+            ingestion: this.ingestionMode === 'websocket' ? strings.ingestionWebsocket : strings.ingestionPolling,
+            hypeUsd: formatUsd(await this.priceOracle.getUsdPrice('HYPE')) || strings.unavailable,
+            healthyEndpoints: this.provider.health().filter(endpoint => endpoint.healthy).length,
+            endpointCount: this.provider.endpoints.length,
+            pending: this.deliveryQueue.depth(),
+            failed: this.deliveryQueue.deadLetters().length
+        }, selection);
+    }
+
+    recordSale(sale) {
+        this.store.recordSale({
+            id: this.generateTransferId(sale),
+            collection: sale.collection,
+            tokenId: sale.tokenId,
+            from: sale.from,
+            to: sale.to,
+            price: sale.price,
+            priceAmount: sale.priceAmount,
+            currency: sale.currency,
+            usdPrice: sale.usdPrice,
+            usdValue: sale.usdValue,
+            usdMissing: sale.usdMissing || undefined,
+            marketplace: sale.marketplace,
+            venue: sale.venue,
+            breakdown: sale.breakdown,
+            confidence: sale.confidence,
+            blockNumber: sale.blockNumber,
+            blockHash: sale.blockHash,
+            txHash: sale.txHash,
+            logIndex: sale.logIndex,
+            timestamp: sale.timestamp
+        });
+    }
+
+    // Values the stored sales whose USD lookup failed. It stops at the first lookup that fails
+    // again, since the provider is most likely still limiting us; the rest wait for the next run.
+    async fillMissingUsd() {
+        const missing = this.store.data.sales.filter(sale => sale.usdMissing);
+        let filled = 0;
+
+        for (const sale of missing) {
+            const value = await this.priceOracle.valueInUsd(sale.priceAmount, sale.currency, sale.timestamp);
+            if (value.usdMissing) break;
+
+            this.store.updateSale(sale.id, { usdPrice: value.usdPrice, usdValue: value.usdValue, usdMissing: undefined });
+            filled++;
+        }
+
+        if (missing.length > 0) {
+            logger.info('Filled in missing USD values', { filled, stillMissing: missing.length - filled });
+        }
+        return { filled, stillMissing: missing.length - filled };
+    }
+
+    getCollection(address) {
+        return this.collections.get((address || '').toLowerCase()) || CONFIG.COLLECTIONS[0];
+    }
+
     generateTransferId(transfer) {
         return `${transfer.txHash}-${transfer.logIndex}`;
     }
@@ -575,49 +1530,31 @@ class WorkingTenshisBot {
     }
 }
 
-// Health check server
-const express = require('express');
-const app = express();
-const PORT = process.env.PORT || 3000;
-
-app.get('/', (req, res) => {
-    res.json({
-        status: 'online',
-        bot: 'Working Tenshis Sales Monitor',
-        method: 'Optimized blockchain polling',
-        contract: CONFIG.TENSHIS_CONTRACT,
-        checkInterval: `${CONFIG.CHECK_INTERVAL / 1000}s`,
-        testMode: CONFIG.TEST_MODE,
-        uptime: process.uptime(),
-        timestamp: new Date().toISOString()
-    });
-});
-
-app.get('/health', (req, res) => {
-    res.json({ 
-        status: 'healthy', 
-        method: 'blockchain-polling',
-        timestamp: new Date().toISOString() 
-    });
-});
-
 // Main function
 async function main() {
-    console.log('🚀 Starting Working Tenshis Sales Bot...');
+    logger.info('Starting Working Tenshis Sales Bot');
     
-    // Start health server
-    app.listen(PORT, () => {
-        console.log(`🌐 Health server running on port ${PORT}`);
+    const bot = new WorkingTenshisBot();
+    // Store changes are batched; write whatever is pending however the process ends
+    process.on('exit', () => bot.store.flush());
+    
+    // Start the HTTP API (status, sales, metrics)
+    createApp(bot).listen(CONFIG.PORT, () => {
+        logger.info('API server running', { port: CONFIG.PORT, admin: Boolean(CONFIG.ADMIN_TOKEN) });
     });
     
     // Start bot
-    const bot = new WorkingTenshisBot();
     await bot.initialize();
     
     // Graceful shutdown
     const shutdown = () => {
-        console.log('📴 Shutting down gracefully...');
-        bot.client.destroy();
+        logger.info('Shutting down gracefully');
+        if (bot.liveFeed) {
+            bot.liveFeed.stop();
+        }
+        if (bot.discordEnabled) {
+            bot.client.destroy();
+        }
         process.exit(0);
     };
     
@@ -627,16 +1564,50 @@ async function main() {
 
 // Error handling
 process.on('unhandledRejection', (error) => {
-    console.error('❌ Unhandled rejection:', error);
+    logger.error('Unhandled rejection', { err: error });
 });
 
 process.on('uncaughtException', (error) => {
-    console.error('❌ Uncaught exception:', error);
+    logger.error('Uncaught exception', { err: error });
     process.exit(1);
 });
 
 if (require.main === module) {
-    main().catch(console.error);
+    if (process.argv[2] === 'classify') {
+        // Offline check: node bot.js classify <fixture-dir>
+        runClassifierFixtures(process.argv[3] || 'fixtures/classifier', CONFIG.COLLECTIONS[0].address)
+            .then(ok => process.exit(ok ? 0 : 1))
+            .catch(error => {
+                logger.error('Fixture run failed', { err: error });
+                process.exit(1);
+            });
+    } else if (process.argv[2] === 'replay') {
+        // Offline end-to-end check: node bot.js replay <scenario-dir>
+        runReplayFixtures(process.argv[3] || CONFIG.REPLAY_DIR, options => new WorkingTenshisBot(options))
+            .then(ok => process.exit(ok ? 0 : 1))
+            .catch(error => {
+                logger.error('Replay failed', { err: error });
+                process.exit(1);
+            });
+    } else if (['backfill', 'export', 'holders'].includes(process.argv[2])) {
+        // Offline history: node bot.js backfill --from <block> --to <block> / node bot.js export --format csv /
+        // node bot.js holders --from <deploy block>
+        const bot = new WorkingTenshisBot();
+        const command = { backfill: runBackfill, export: runExport, holders: runHolderSeed }[process.argv[2]];
+        process.on('exit', () => bot.store.flush());
+
+        Promise.resolve(command(bot, process.argv.slice(3)))
+            .then(() => process.exit(0))
+            .catch(error => {
+                logger.error('Offline command failed', { command: process.argv[2], err: error });
+                process.exit(1);
+            });
+    } else {
+        main().catch(error => {
+            logger.error('Failed to start', { err: error });
+            process.exit(1);
+        });
+    }
 }
 
 module.exports = { WorkingTenshisBot };
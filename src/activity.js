@@ -0,0 +1,104 @@
+const { ethers } = require('ethers');
+const { ZERO_ADDRESS } = require('./priceExtractor');
+const { addressList } = require('./collections');
+const { logger } = require('./logger');
+
+const log = logger.child({ component: 'activity' });
+
+const ACTIVITY_TYPES = ['listing', 'offer', 'delist'];
+
+// 🏷️ Decodes marketplace order events (listings, offers, cancellations) registered by ABI.
+// Each definition names its activity `type`, the exchange `address`, the event `abi` and
+// a `fields` map naming the event arguments that hold tokenId, price, currency, maker,
+// collection and expiry - the same shape as MARKETPLACE_EVENTS fill definitions.
+class ActivityDecoder {
+    constructor(definitions = []) {
+        this.definitions = [];
+        definitions.forEach(def => this.register(def));
+    }
+
+    register(definition) {
+        if (!ACTIVITY_TYPES.includes(definition.type)) {
+            throw new Error(`Unknown activity type "${definition.type}" for ${definition.name}`);
+        }
+
+        const iface = new ethers.Interface([definition.abi]);
+        const fragment = iface.fragments.find(f => f.type === 'event');
+
+        this.definitions.push({
+            type: definition.type,
+            name: definition.name,
+            address: definition.address ? addressList([definition.address], 'address', definition.name)[0] : null,
+            iface,
+            topic: fragment.topicHash,
+            fields: definition.fields || {}
+        });
+
+        log.info('Registered activity event', { type: definition.type, marketplace: definition.name, event: fragment.name });
+    }
+
+    get enabled() {
+        return this.definitions.length > 0;
+    }
+
+    // getLogs filter covering every registered event
+    get filter() {
+        const addresses = [...new Set(this.definitions.map(def => def.address).filter(Boolean))];
+
+        return {
+            address: addresses.length > 0 ? addresses : undefined,
+            topics: [[...new Set(this.definitions.map(def => def.topic))]]
+        };
+    }
+
+    decode(log) {
+        const definition = this.definitions.find(def =>
+            def.topic === log.topics[0] &&
+            (!def.address || def.address === log.address.toLowerCase())
+        );
+        if (!definition) return null;
+
+        const args = definition.iface.parseLog(log).args;
+        const read = (name) => (name && args[name] !== undefined ? args[name] : undefined);
+        const tokenId = read(definition.fields.tokenId);
+        const price = read(definition.fields.price);
+        const expiresAt = read(definition.fields.expiresAt);
+
+        return {
+            type: definition.type,
+            marketplace: definition.name,
+            collection: read(definition.fields.collection) || null,
+            tokenId: tokenId !== undefined ? tokenId.toString() : null, // null for collection-wide offers
+            priceRaw: price !== undefined ? BigInt(price) : null,
+            currencyAddress: read(definition.fields.currency) || ZERO_ADDRESS,
+            maker: read(definition.fields.maker) || null,
+            expiresAt: expiresAt !== undefined ? Number(expiresAt) * 1000 : null,
+            blockNumber: log.blockNumber,
+            txHash: log.transactionHash,
+            logIndex: log.logIndex
+        };
+    }
+}
+
+/**
+ * Whether an activity passes the configured filters. Price limits are compared with the
+ * activity's amount in its own currency (HYPE for native listings).
+ */
+function passesActivityFilters(activity, filters = {}) {
+    if (filters.types && filters.types.length > 0 && !filters.types.includes(activity.type)) {
+        return false;
+    }
+
+    if (typeof activity.priceAmount === 'number') {
+        if (activity.type === 'listing' && filters.maxListingPrice && activity.priceAmount > filters.maxListingPrice) {
+            return false;
+        }
+        if (activity.type === 'offer' && filters.minOfferPrice && activity.priceAmount < filters.minOfferPrice) {
+            return false;
+        }
+    }
+
+    return true;
+}
+
+module.exports = { ActivityDecoder, passesActivityFilters, ACTIVITY_TYPES };
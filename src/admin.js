@@ -0,0 +1,222 @@
+const { CONFIG } = require('./config');
+const { logger, LEVELS } = require('./logger');
+
+const log = logger.child({ component: 'admin' });
+
+// Settings that can be changed while the bot runs; setting one to null puts the startup value back
+const SETTINGS = {
+    checkInterval: {
+        valid: value => Number.isInteger(value) && value >= 1000,
+        expected: 'a whole number of milliseconds, at least 1000'
+    },
+    confidenceThreshold: {
+        valid: value => typeof value === 'number' && value >= 0 && value <= 100,
+        expected: 'a number from 0 to 100'
+    },
+    logLevel: {
+        valid: value => Object.prototype.hasOwnProperty.call(LEVELS, value),
+        expected: `one of ${Object.keys(LEVELS).join(', ')}`
+    }
+};
+
+function withStatus(message, status) {
+    return Object.assign(new Error(message), { status });
+}
+
+// 🛠️ Admin controls behind the /admin slash command and the /admin HTTP routes: pause and
+// resume monitoring, rescan a block range, re-post or delete a sale, and change settings
+// without a redeploy. The paused flag and settings are kept in the store, so a restart does
+// not undo them. Every action is logged with the `actor` who asked for it.
+class AdminControls {
+    constructor(bot) {
+        this.bot = bot;
+        this.rescan = null; // The running or last rescan
+        this.defaults = {
+            checkInterval: CONFIG.CHECK_INTERVAL,
+            confidenceThreshold: bot.saleClassifier.threshold,
+            logLevel: logger.level
+        };
+
+        const state = bot.store.data.admin && typeof bot.store.data.admin === 'object' ? bot.store.data.admin : {};
+        bot.store.data.admin = { paused: false, ...state, settings: state.settings || {} };
+    }
+
+    get state() {
+        return this.bot.store.data.admin;
+    }
+
+    get paused() {
+        return Boolean(this.state.paused);
+    }
+
+    // Every setting's current value, overrides over what the bot started with
+    get settings() {
+        return { ...this.defaults, ...this.state.settings };
+    }
+
+    // Pushes the settings into the classifier, the logger and (when polling) the poll timer
+    apply() {
+        const { checkInterval, confidenceThreshold, logLevel } = this.settings;
+
+        this.bot.saleClassifier.threshold = confidenceThreshold;
+        logger.setLevel(logLevel);
+
+        if (this.bot.isRunning && this.bot.ingestionMode === 'polling') {
+            this.bot.setPollInterval(checkInterval);
+        }
+    }
+
+    status() {
+        return {
+            paused: this.paused,
+            pausedAt: this.state.pausedAt ? new Date(this.state.pausedAt).toISOString() : null,
+            pausedBy: this.state.pausedBy || null,
+            settings: this.settings,
+            overrides: { ...this.state.settings },
+            lastProcessedBlock: this.bot.lastProcessedBlock,
+            rescan: this.rescan && { ...this.rescan, running: !this.rescan.finishedAt }
+        };
+    }
+
+    updateSettings(changes, actor) {
+        const unknown = Object.keys(changes).filter(name => !SETTINGS[name]);
+        if (unknown.length > 0) {
+            throw withStatus(`Unknown setting ${unknown.join(', ')} (expected ${Object.keys(SETTINGS).join(', ')})`, 400);
+        }
+        for (const [name, value] of Object.entries(changes)) {
+            if (value !== null && !SETTINGS[name].valid(value)) {
+                throw withStatus(`${name} must be ${SETTINGS[name].expected}`, 400);
+            }
+        }
+
+        for (const [name, value] of Object.entries(changes)) {
+            if (value === null) {
+                delete this.state.settings[name];
+            } else {
+                this.state.settings[name] = value;
+            }
+        }
+        this.bot.store.save();
+        this.apply();
+
+        log.info('Settings changed', { actor, changes });
+        return this.settings;
+    }
+
+    // Scans stop and the cursor stays where it is; posts already queued still go out
+    pause(actor) {
+        if (!this.paused) {
+            Object.assign(this.state, { paused: true, pausedAt: Date.now(), pausedBy: actor });
+            this.bot.store.save();
+            log.warn('Monitoring paused', { actor, lastProcessedBlock: this.bot.lastProcessedBlock });
+        }
+        return this.status();
+    }
+
+    // Picks up from the cursor, so blocks produced while paused are scanned too
+    resume(actor) {
+        if (this.paused) {
+            Object.assign(this.state, { paused: false, pausedAt: null, pausedBy: null });
+            this.bot.store.save();
+            log.info('Monitoring resumed', { actor, lastProcessedBlock: this.bot.lastProcessedBlock });
+
+            if (this.bot.isRunning) this.bot.checkForTransfers();
+        }
+        return this.status();
+    }
+
+    /**
+     * Scans an already-scanned block range again, in the background, and posts sales that
+     * were missed (e.g. classified as transfers under a stricter confidence cutoff). Sales
+     * that are already stored are not posted twice. One rescan runs at a time.
+     */
+    startRescan(fromBlock, toBlock, actor) {
+        if (!Number.isInteger(fromBlock) || !Number.isInteger(toBlock) || fromBlock < 0 || toBlock < fromBlock) {
+            throw withStatus('fromBlock and toBlock must be block numbers, fromBlock no higher than toBlock', 400);
+        }
+        if (toBlock - fromBlock + 1 > CONFIG.MAX_RESCAN_BLOCKS) {
+            throw withStatus(`A rescan covers at most ${CONFIG.MAX_RESCAN_BLOCKS} blocks`, 400);
+        }
+        if (toBlock > this.bot.lastProcessedBlock) {
+            throw withStatus(`Blocks after ${this.bot.lastProcessedBlock} have not been scanned yet`, 400);
+        }
+        if (this.rescan && !this.rescan.finishedAt) {
+            throw withStatus(`A rescan of blocks ${this.rescan.fromBlock}-${this.rescan.toBlock} is still running`, 409);
+        }
+
+        const rescan = {
+            fromBlock,
+            toBlock,
+            through: null, // Last block done so far
+            found: 0,      // Sales it stored
+            actor,
+            startedAt: new Date().toISOString(),
+            finishedAt: null,
+            error: null
+        };
+        this.rescan = rescan;
+        log.info('Rescan started', { actor, fromBlock, toBlock });
+
+        this.bot.runBetweenChecks(() => this.runRescan(rescan));
+        return { ...rescan, running: true };
+    }
+
+    async runRescan(rescan) {
+        const sales = this.bot.store.data.sales;
+        const before = new Set(sales.map(sale => sale.id));
+
+        try {
+            for (let chunkStart = rescan.fromBlock; chunkStart <= rescan.toBlock; chunkStart += CONFIG.BACKFILL_CHUNK_SIZE) {
+                const chunkEnd = Math.min(chunkStart + CONFIG.BACKFILL_CHUNK_SIZE - 1, rescan.toBlock);
+
+                await this.bot.scanRange(chunkStart, chunkEnd, { activity: false, rescan: true });
+                rescan.through = chunkEnd;
+                rescan.found = sales.filter(sale => !before.has(sale.id)).length;
+            }
+            log.info('Rescan finished', { actor: rescan.actor, fromBlock: rescan.fromBlock, toBlock: rescan.toBlock, found: rescan.found });
+        } catch (error) {
+            rescan.error = error.message;
+            log.error('Rescan failed', { actor: rescan.actor, through: rescan.through, err: error });
+        } finally {
+            rescan.finishedAt = new Date().toISOString();
+        }
+    }
+
+    // Queues a stored sale to be posted again, e.g. after its post was removed by hand
+    repostSale(id, actor) {
+        const sale = this.findSale(id);
+        const queue = this.bot.deliveryQueue;
+        const job = queue.jobs.find(other => other.ids.includes(sale.id));
+
+        if (job && job.status === 'dead') {
+            queue.replay(sale.id);
+        } else if (job) {
+            throw withStatus(`#${sale.tokenId} is already queued for delivery`, 409);
+        } else {
+            const { delivery, ...recorded } = sale;
+            queue.enqueue([recorded], [sale.id]);
+        }
+
+        log.info(`Re-posting #${sale.tokenId}`, { actor, txHash: sale.txHash, sale: sale.id });
+        return this.bot.store.data.sales.find(other => other.id === sale.id);
+    }
+
+    // Takes a sale down everywhere it was posted and leaves it out of stats and history
+    async deleteSale(id, actor) {
+        const sale = this.findSale(id);
+
+        log.warn(`Deleting #${sale.tokenId}`, { actor, txHash: sale.txHash, sale: sale.id });
+        await this.bot.deleteSale(sale);
+        return sale;
+    }
+
+    findSale(id) {
+        const sale = this.bot.store.data.sales.find(other => other.id === id);
+
+        if (!sale) throw withStatus(`No sale with ID ${id}`, 404);
+        if (sale.retracted) throw withStatus(`#${sale.tokenId} was ${sale.deleted ? 'deleted' : 'retracted'}`, 409);
+        return sale;
+    }
+}
+
+module.exports = { AdminControls, SETTINGS };
@@ -0,0 +1,179 @@
+// 🚨 Alert rules evaluated against every sale (or sweep) before it is posted.
+// A rule has a `type` with its own parameters plus optional actions: `roleId` to ping,
+// `color` and `title` to restyle the post, and `channelId` to also post a copy there.
+// Rules come from ALERT_RULES_FILE (read-only) and from /alerts commands (kept in the store).
+const crypto = require('crypto');
+const { parseColor } = require('./collections');
+const { quoteCurrency } = require('./priceOracle');
+const { logger } = require('./logger');
+
+const log = logger.child({ component: 'alerts' });
+
+// Each matcher returns a short reason when the rule fires, or null
+const RULE_TYPES = {
+    // price above X - in USD (`minUsd`) or in a currency (`minPrice` + `currency`, default HYPE).
+    // A wrapped currency counts as its native asset, so a HYPE rule also matches WHYPE sales.
+    price(rule, sale) {
+        if (rule.minUsd && typeof sale.usdValue === 'number' && sale.usdValue >= rule.minUsd) {
+            return `Worth $${Math.round(sale.usdValue).toLocaleString('en-US')} (≥ $${rule.minUsd})`;
+        }
+
+        const amount = sale.isSweep ? sale.totalAmount : sale.priceAmount;
+        const currency = quoteCurrency((rule.currency || 'HYPE').toUpperCase());
+        if (rule.minPrice && typeof amount === 'number' && quoteCurrency(sale.currency) === currency && amount >= rule.minPrice) {
+            return `${amount} ${sale.currency} (≥ ${rule.minPrice})`;
+        }
+
+        return null;
+    },
+
+    // buyer and/or seller on a watchlist
+    watchlist(rule, sale) {
+        const wallets = new Set(rule.wallets.map(wallet => wallet.toLowerCase()));
+        const label = rule.label ? ` (${rule.label})` : '';
+        const sellers = sale.isSweep ? sale.items.map(item => item.from) : [sale.from];
+
+        if (rule.side !== 'seller' && wallets.has(sale.to.toLowerCase())) {
+            return `Watched wallet ${shorten(sale.to)}${label} bought`;
+        }
+
+        const seller = sellers.find(address => wallets.has(address.toLowerCase()));
+        if (rule.side !== 'buyer' && seller) {
+            return `Watched wallet ${shorten(seller)}${label} sold`;
+        }
+
+        return null;
+    },
+
+    // one wallet buying `count` or more within `windowHours` (this sale included). It fires once
+    // per wallet and window: further buys within the window of that alert stay quiet.
+    accumulation(rule, sale, store) {
+        const buyer = sale.to.toLowerCase();
+        const at = sale.timestamp || Date.now();
+        const windowMs = (rule.windowHours || 24) * 60 * 60 * 1000;
+        const bought = store.querySales({ collection: sale.collection, wallet: buyer, since: at - windowMs })
+            .filter(recorded => recorded.to.toLowerCase() === buyer).length;
+        if (bought < rule.count) return null;
+
+        const key = `${rule.id}-${buyer}`;
+        const firedAt = store.data.alertFirings[key];
+        if (firedAt && at - firedAt < windowMs) return null;
+
+        store.data.alertFirings[key] = at;
+        store.save();
+        return `${shorten(sale.to)} bought ${bought} in ${rule.windowHours || 24}h`;
+    },
+
+    // specific token IDs, optionally in one collection
+    tokens(rule, sale) {
+        if (rule.collection && rule.collection.toLowerCase() !== sale.collection.toLowerCase()) return null;
+
+        const watched = new Set(rule.tokenIds.map(String));
+        const hits = (sale.isSweep ? sale.tokenIds : [sale.tokenId]).filter(id => watched.has(String(id)));
+
+        return hits.length > 0 ? `Watched token${hits.length > 1 ? 's' : ''} #${hits.join(', #')}` : null;
+    }
+};
+
+function normalizeRule(rule, source) {
+    if (!RULE_TYPES[rule.type]) {
+        throw new Error(`Unknown alert rule type "${rule.type}" (expected ${Object.keys(RULE_TYPES).join(', ')})`);
+    }
+    if (rule.type === 'price' && !rule.minUsd && !rule.minPrice) {
+        throw new Error('A price rule needs minUsd or minPrice');
+    }
+    if (rule.type === 'watchlist' && !(rule.wallets && rule.wallets.length > 0)) {
+        throw new Error('A watchlist rule needs at least one wallet');
+    }
+    if (rule.type === 'accumulation' && !(rule.count > 0)) {
+        throw new Error('An accumulation rule needs a count');
+    }
+    if (rule.type === 'tokens' && !(rule.tokenIds && rule.tokenIds.length > 0)) {
+        throw new Error('A tokens rule needs at least one token ID');
+    }
+
+    return {
+        ...rule,
+        id: String(rule.id || `${rule.type}-${crypto.randomBytes(3).toString('hex')}`),
+        color: rule.color !== undefined && rule.color !== null ? parseColor(rule.color) : null,
+        source
+    };
+}
+
+function shorten(address) {
+    return `${address.slice(0, 6)}...${address.slice(-4)}`;
+}
+
+class AlertRules {
+    constructor(store, configRules = []) {
+        this.store = store;
+        this.configRules = configRules.map(rule => normalizeRule(rule, 'config'));
+
+        if (!Array.isArray(this.store.data.alertRules)) {
+            this.store.data.alertRules = [];
+        }
+        if (!this.store.data.alertFirings) {
+            this.store.data.alertFirings = {}; // `${ruleId}-${wallet}` -> when an accumulation rule last fired
+        }
+
+        if (this.rules.length > 0) {
+            log.info('Loaded alert rules', { count: this.rules.length });
+        }
+    }
+
+    get rules() {
+        return [...this.configRules, ...this.store.data.alertRules];
+    }
+
+    add(rule) {
+        const normalized = normalizeRule(rule, 'command');
+        this.store.data.alertRules.push(normalized);
+        this.store.save();
+        return normalized;
+    }
+
+    // Only rules added by command can be removed; config rules live in the file
+    remove(id) {
+        const before = this.store.data.alertRules.length;
+        this.store.data.alertRules = this.store.data.alertRules.filter(rule => rule.id !== id);
+        for (const key of Object.keys(this.store.data.alertFirings)) {
+            if (key.startsWith(`${id}-`)) delete this.store.data.alertFirings[key];
+        }
+        this.store.save();
+        return this.store.data.alertRules.length < before;
+    }
+
+    /**
+     * Returns the combined actions of every matching rule, or null when none match.
+     * Colour and title come from the first matching rule that sets them.
+     */
+    evaluate(sale) {
+        const matches = [];
+
+        for (const rule of this.rules) {
+            try {
+                const detail = RULE_TYPES[rule.type](rule, sale, this.store);
+                if (detail) matches.push({ rule, detail });
+            } catch (error) {
+                log.error('Alert rule failed', { rule: rule.id, txHash: sale.txHash, err: error });
+            }
+        }
+
+        if (matches.length === 0) return null;
+
+        const first = (key) => {
+            const match = matches.find(m => m.rule[key] !== undefined && m.rule[key] !== null);
+            return match ? match.rule[key] : null;
+        };
+
+        return {
+            matches,
+            roleIds: [...new Set(matches.map(match => match.rule.roleId).filter(Boolean))],
+            channelIds: [...new Set(matches.map(match => match.rule.channelId).filter(Boolean))],
+            color: first('color'),
+            title: first('title') || '🚨 Alert'
+        };
+    }
+}
+
+module.exports = { AlertRules, RULE_TYPES };
@@ -0,0 +1,231 @@
+const { CONFIG } = require('./config');
+const { PERIODS, computeSaleStats, formatAmount } = require('./stats');
+const { formatUsd } = require('./priceOracle');
+const { renderTemplate } = require('./notifiers/template');
+const { logger } = require('./logger');
+
+const log = logger.child({ component: 'analytics' });
+
+const DAY = 24 * 60 * 60 * 1000;
+
+// 📈 Market analytics built on recorded sales and tracked listings.
+// The floor is the cheapest active listing when the listing feed is on, otherwise the
+// cheapest sale of the last 24h. A move past `floorAlertPercent` from the last alerted
+// floor posts an alert; daily and weekly reports go out at `reportHour` (UTC).
+// Report times and floor baselines live in the store so a restart repeats neither.
+class MarketAnalytics {
+    constructor(bot, options = {}) {
+        this.bot = bot;
+        this.channelId = options.channelId;
+        this.floorAlertPercent = options.floorAlertPercent || 0;
+        this.reportHour = options.reportHour || 0;
+        this.weeklyReportDay = options.weeklyReportDay !== undefined ? options.weeklyReportDay : 1; // Monday
+        this.interval = options.interval || 5 * 60 * 1000;
+        this.timer = null;
+
+        const data = this.bot.store.data;
+        if (!data.analytics) {
+            data.analytics = { floors: {}, lastReports: {} };
+        }
+    }
+
+    get state() {
+        return this.bot.store.data.analytics;
+    }
+
+    start() {
+        if (this.timer) return;
+
+        log.info('Market analytics on', { reportHourUtc: this.reportHour, floorAlertPercent: this.floorAlertPercent || null });
+        this.timer = setInterval(() => this.tick(), this.interval);
+    }
+
+    stop() {
+        clearInterval(this.timer);
+        this.timer = null;
+    }
+
+    async tick(now = new Date()) {
+        try {
+            if (this.floorAlertPercent > 0) {
+                for (const collection of this.bot.collections.values()) {
+                    await this.checkFloor(collection);
+                }
+            }
+
+            await this.postDueReports(now);
+        } catch (error) {
+            log.error('Market analytics tick failed', { err: error });
+        }
+    }
+
+    currentFloor(collection, now = Date.now()) {
+        const listings = this.bot.store.activeListings(collection.address, now);
+        if (listings.length > 0) {
+            return lowest(listings, 'listings');
+        }
+
+        const sales = this.bot.store.querySales({ collection: collection.address, since: now - DAY })
+            .filter(sale => typeof sale.priceAmount === 'number' && sale.currency);
+        return sales.length > 0 ? lowest(sales, 'sales') : null;
+    }
+
+    async checkFloor(collection) {
+        const floor = this.currentFloor(collection);
+        if (!floor) return;
+
+        const baseline = this.state.floors[collection.key];
+
+        // A new baseline whenever there is none yet or the floor is now quoted in another currency
+        if (!baseline || baseline.currency !== floor.currency || baseline.amount <= 0) {
+            this.setBaseline(collection, floor);
+            return;
+        }
+
+        const change = ((floor.amount - baseline.amount) / baseline.amount) * 100;
+        if (Math.abs(change) < this.floorAlertPercent) return;
+
+        log.info('Floor moved', { collection: collection.name, changePercent: Number(change.toFixed(1)), from: baseline.amount, to: floor.amount, currency: floor.currency });
+        await this.send(this.buildFloorAlertEmbed(collection, baseline, floor, change));
+        this.setBaseline(collection, floor);
+    }
+
+    setBaseline(collection, floor) {
+        this.state.floors[collection.key] = { amount: floor.amount, currency: floor.currency, at: Date.now() };
+        this.bot.store.save();
+    }
+
+    // The most recent scheduled time for a report, at or before `now`
+    lastSlot(kind, now) {
+        const slot = Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate(), this.reportHour);
+        let time = slot > now.getTime() ? slot - DAY : slot;
+
+        if (kind === 'weekly') {
+            const daysBack = (new Date(time).getUTCDay() - this.weeklyReportDay + 7) % 7;
+            time -= daysBack * DAY;
+        }
+
+        return time;
+    }
+
+    async postDueReports(now = new Date()) {
+        const reports = [
+            { kind: 'daily', period: '24h' },
+            { kind: 'weekly', period: '7d' }
+        ];
+
+        for (const report of reports) {
+            const slot = this.lastSlot(report.kind, now);
+            const last = this.state.lastReports[report.kind];
+
+            // On a fresh store the first report waits for the next slot instead of firing on boot
+            if (last === undefined) {
+                this.state.lastReports[report.kind] = slot;
+                this.bot.store.save();
+                continue;
+            }
+
+            if (last >= slot) continue;
+
+            log.info('Posting market report', { kind: report.kind });
+            for (const collection of this.bot.collections.values()) {
+                await this.send(this.buildReportEmbed(collection, report, slot));
+            }
+
+            this.state.lastReports[report.kind] = slot;
+            this.bot.store.save();
+        }
+    }
+
+    // Rendered as the `dailyReport` or `weeklyReport` kind in the channel's layout and language
+    buildReportEmbed(collection, report, until) {
+        const selection = this.bot.templates.forChannel(this.channelId);
+        const strings = this.bot.templates.strings(selection.locale);
+        const sales = this.bot.store.querySales({
+            collection: collection.address,
+            since: until - PERIODS[report.period],
+            until
+        });
+        const stats = computeSaleStats(sales);
+        const floor = this.currentFloor(collection);
+        const top = stats.topSale;
+
+        // Holder count against the snapshot from the start of the period
+        let holders = '';
+        const summary = this.bot.holders.summary(collection, 0);
+        if (summary.supply > 0) {
+            const before = this.bot.holders.snapshotBefore(collection, PERIODS[report.period] / DAY, until);
+            const delta = before ? summary.holders - before.holders : null;
+            holders = `${summary.holders.toLocaleString('en-US')}${delta !== null ? ` (${delta >= 0 ? '+' : ''}${delta})` : ''}`;
+        }
+
+        const embed = this.bot.templates.render(`${report.kind}Report`, {
+            collection: collection.name,
+            color: `#${collection.color.toString(16).padStart(6, '0')}`,
+            since: `<t:${Math.floor((until - PERIODS[report.period]) / 1000)}:f>`,
+            until: `<t:${Math.floor(until / 1000)}:f>`,
+            count: stats.count,
+            usdVolume: formatUsd(stats.usdVolume),
+            floorValue: floor
+                ? renderTemplate(strings.floorValue, { floor: `${formatAmount(floor.amount)} ${floor.currency}`, floorSource: floorSource(floor, strings) })
+                : strings.unknown,
+            uniqueBuyers: stats.uniqueBuyers,
+            uniqueSellers: stats.uniqueSellers,
+            holders,
+            topSale: top ? top.tokenId : '',
+            tokenId: top ? top.tokenId : '',
+            price: top ? `${top.price || strings.unknown}${top.usdValue ? ` (~${formatUsd(top.usdValue)})` : ''}` : '',
+            txUrl: top ? `${CONFIG.HYPERLIQUID_EXPLORER}/tx/${top.txHash}` : ''
+        }, selection).setTimestamp(until);
+
+        for (const [currency, bucket] of Object.entries(stats.byCurrency)) {
+            embed.addFields({
+                name: renderTemplate(strings.currencyLabel, { currency }),
+                value: renderTemplate(strings.reportCurrencyValue, {
+                    volume: formatAmount(bucket.volume),
+                    average: formatAmount(bucket.average),
+                    low: formatAmount(bucket.floor)
+                }),
+                inline: true
+            });
+        }
+
+        return embed;
+    }
+
+    // Rendered as the `floorUp` or `floorDown` kind
+    buildFloorAlertEmbed(collection, baseline, floor, change) {
+        const selection = this.bot.templates.forChannel(this.channelId);
+
+        return this.bot.templates.render(change > 0 ? 'floorUp' : 'floorDown', {
+            collection: collection.name,
+            change: Math.abs(change).toFixed(1),
+            was: `${formatAmount(baseline.amount)} ${baseline.currency}`,
+            now: `${formatAmount(floor.amount)} ${floor.currency}`,
+            since: `<t:${Math.floor(baseline.at / 1000)}:R>`,
+            floorSource: floorSource(floor, this.bot.templates.strings(selection.locale))
+        }, selection);
+    }
+
+    async send(embed) {
+        const channel = await this.bot.client.channels.fetch(this.channelId);
+        await channel.send({ embeds: [embed] });
+    }
+}
+
+// Where a floor came from ('listings' or 'sales'), in the channel's language
+function floorSource(floor, strings) {
+    return floor.source === 'listings' ? strings.floorSourceListings : strings.floorSourceSales;
+}
+
+// Cheapest entry in the currency most of the entries are quoted in
+function lowest(entries, source) {
+    const counts = {};
+    entries.forEach(entry => { counts[entry.currency] = (counts[entry.currency] || 0) + 1; });
+    const currency = Object.keys(counts).sort((a, b) => counts[b] - counts[a])[0];
+
+    const amount = Math.min(...entries.filter(entry => entry.currency === currency).map(entry => entry.priceAmount));
+    return { amount, currency, source };
+}
+
+module.exports = { MarketAnalytics };
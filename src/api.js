@@ -0,0 +1,274 @@
+const crypto = require('crypto');
+const express = require('express');
+const { CONFIG } = require('./config');
+const { PERIODS, computeSaleStats, computeRoyaltyTotals } = require('./stats');
+const { logger } = require('./logger');
+
+const log = logger.child({ component: 'api' });
+
+const MAX_PAGE_SIZE = 100;
+
+// Sale records without the bot's own bookkeeping (delivery state, message refs)
+function adminSale(sale) {
+    if (!sale) return null;
+
+    const { delivery, ...rest } = sale;
+    return rest;
+}
+
+// What the unauthenticated routes show: no payment breakdown either, since the royalty and fee
+// split is treasury data that only the admin routes hand out (like GET /admin/royalties)
+function publicSale(sale) {
+    if (!sale) return null;
+
+    const { breakdown, ...rest } = adminSale(sale);
+    return rest;
+}
+
+// Accepts epoch milliseconds or anything Date.parse understands
+function parseTime(value) {
+    if (value === undefined) return undefined;
+
+    const time = /^\d+$/.test(value) ? Number(value) : Date.parse(value);
+    if (Number.isNaN(time)) {
+        throw Object.assign(new Error(`Invalid time "${value}"`), { status: 400 });
+    }
+    return time;
+}
+
+function resolveCollection(bot, value) {
+    if (!value) return null;
+
+    const collection = [...bot.collections.values()].find(c =>
+        c.key === value.toLowerCase() || c.slug === value.toLowerCase()
+    );
+    if (!collection) {
+        throw Object.assign(new Error(`Unknown collection "${value}"`), { status: 404 });
+    }
+    return collection;
+}
+
+// Every query value must be a single string: `?since=1&since=2` or `?collection[a]=b` parse
+// to arrays and objects, which the handlers below would otherwise choke on with a 500
+function requireStringQuery(req, res, next) {
+    const name = Object.keys(req.query).find(key => typeof req.query[key] !== 'string');
+    if (name) {
+        throw Object.assign(new Error(`Query parameter "${name}" must be given once, as plain text`), { status: 400 });
+    }
+    next();
+}
+
+// Admin routes need `Authorization: Bearer <ADMIN_TOKEN>`, compared in constant time
+function requireAdmin(req, res, next) {
+    const [scheme, token] = (req.get('authorization') || '').split(' ');
+    const expected = Buffer.from(CONFIG.ADMIN_TOKEN);
+    const given = Buffer.from(token || '');
+
+    if (scheme !== 'Bearer' || given.length !== expected.length || !crypto.timingSafeEqual(given, expected)) {
+        throw Object.assign(new Error('Admin token required'), { status: 401 });
+    }
+    next();
+}
+
+// Hands a rejected promise from an async handler to the error handler
+function handleAsync(handler) {
+    return (req, res, next) => Promise.resolve(handler(req, res)).catch(next);
+}
+
+// The control plane from src/admin.js; `actor` in the audit log is the caller's address
+function adminRouter(bot) {
+    const router = express.Router();
+    const actor = req => `http:${req.ip}`;
+
+    router.use(requireAdmin, express.json());
+
+    router.get('/status', (req, res) => {
+        res.json(bot.admin.status());
+    });
+
+    // /health with the error messages the public route leaves out
+    router.get('/health', (req, res) => {
+        res.json(bot.getHealth({ detail: true }));
+    });
+
+    router.post('/pause', (req, res) => {
+        res.json(bot.admin.pause(actor(req)));
+    });
+
+    router.post('/resume', (req, res) => {
+        res.json(bot.admin.resume(actor(req)));
+    });
+
+    // POST /admin/rescan { fromBlock, toBlock } - runs in the background, follow it on /admin/status
+    router.post('/rescan', (req, res) => {
+        const { fromBlock, toBlock } = req.body || {};
+        res.status(202).json(bot.admin.startRescan(Number(fromBlock), Number(toBlock), actor(req)));
+    });
+
+    router.post('/sales/:id/repost', (req, res) => {
+        res.json(adminSale(bot.admin.repostSale(req.params.id, actor(req))));
+    });
+
+    router.delete('/sales/:id', handleAsync(async (req, res) => {
+        res.json(adminSale(await bot.admin.deleteSale(req.params.id, actor(req))));
+    }));
+
+    // GET /admin/royalties?period=24h|7d|30d|all or ?since=&until=, &collection= - treasury
+    // numbers, so only for admins
+    router.get('/royalties', (req, res) => {
+        const period = req.query.since || req.query.until ? null : (req.query.period || '30d');
+        if (period && period !== 'all' && !PERIODS[period]) {
+            throw Object.assign(new Error(`Unknown period "${period}" (expected ${Object.keys(PERIODS).join(', ')}, all)`), { status: 400 });
+        }
+
+        const collection = resolveCollection(bot, req.query.collection);
+        const totals = computeRoyaltyTotals(bot.store.querySales({
+            collection: collection && collection.address,
+            since: period ? (PERIODS[period] ? Date.now() - PERIODS[period] : undefined) : parseTime(req.query.since),
+            until: period ? undefined : parseTime(req.query.until)
+        }));
+        const byVenue = Object.fromEntries(Object.entries(totals.byVenue).map(([key, bucket]) => {
+            const venue = bot.marketplaces.get(key);
+            return [key, { name: venue ? venue.name : null, ...bucket }];
+        }));
+        const byCollection = Object.fromEntries(Object.entries(totals.byCollection).map(([key, bucket]) => [
+            key,
+            { name: bot.getCollection(key).name, ...bucket }
+        ]));
+
+        res.json({
+            period: period || 'custom',
+            collection: collection ? collection.name : 'all',
+            ...totals,
+            byVenue,
+            byCollection
+        });
+    });
+
+    // PATCH /admin/settings { checkInterval, confidenceThreshold, logLevel } - null restores the startup value
+    router.patch('/settings', (req, res) => {
+        res.json(bot.admin.updateSettings(req.body || {}, actor(req)));
+    });
+
+    return router;
+}
+
+// 🌐 HTTP surface: status, a read-only sales API, Prometheus metrics and, with ADMIN_TOKEN
+// set, the admin routes. The read-only routes work the same during a backfill-built history.
+function createApp(bot) {
+    const app = express();
+
+    app.use(requireStringQuery);
+
+    app.get('/', (req, res) => {
+        res.json({
+            status: 'online',
+            bot: 'Working Tenshis Sales Monitor',
+            method: bot.ingestionMode === 'websocket' ? 'WebSocket subscription with safety polling' : 'Optimized blockchain polling',
+            collections: CONFIG.COLLECTIONS.map(collection => ({
+                name: collection.name,
+                address: collection.address
+            })),
+            checkInterval: `${bot.admin.settings.checkInterval / 1000}s`,
+            paused: bot.admin.paused,
+            testMode: CONFIG.TEST_MODE,
+            endpoints: ['/health', '/sales', '/stats', '/holders', '/tokens/:id/history', '/metrics'],
+            uptime: process.uptime(),
+            timestamp: new Date().toISOString()
+        });
+    });
+
+    // 503 when anything the bot needs to post sales is down, so platform health checks restart it
+    app.get('/health', (req, res) => {
+        const health = bot.getHealth();
+        res.status(health.status === 'healthy' ? 200 : 503).json(health);
+    });
+
+    // GET /sales?collection=&tokenId=&wallet=&since=&until=&limit=&offset=
+    app.get('/sales', (req, res) => {
+        const collection = resolveCollection(bot, req.query.collection);
+        const limit = Math.min(MAX_PAGE_SIZE, Math.max(1, Number(req.query.limit) || 25));
+        const offset = Math.max(0, Number(req.query.offset) || 0);
+
+        const matches = bot.store.querySales({
+            collection: collection && collection.address,
+            tokenId: req.query.tokenId,
+            wallet: req.query.wallet,
+            since: parseTime(req.query.since),
+            until: parseTime(req.query.until)
+        });
+
+        res.json({
+            total: matches.length,
+            limit,
+            offset,
+            nextOffset: offset + limit < matches.length ? offset + limit : null,
+            sales: matches.slice(offset, offset + limit).map(publicSale)
+        });
+    });
+
+    // GET /stats?period=24h|7d|30d&collection=
+    app.get('/stats', (req, res) => {
+        const period = req.query.period || '24h';
+        if (!PERIODS[period]) {
+            throw Object.assign(new Error(`Unknown period "${period}" (expected ${Object.keys(PERIODS).join(', ')})`), { status: 400 });
+        }
+
+        const collection = resolveCollection(bot, req.query.collection);
+        const stats = computeSaleStats(bot.store.querySales({
+            collection: collection && collection.address,
+            since: Date.now() - PERIODS[period]
+        }));
+        const floors = (collection ? [collection] : [...bot.collections.values()]).map(c => ({
+            collection: c.name,
+            floor: bot.analytics.currentFloor(c)
+        }));
+
+        res.json({ period, collection: collection ? collection.name : 'all', ...stats, topSale: publicSale(stats.topSale), floors });
+    });
+
+    // GET /holders?collection=&top= (defaults to the first collection)
+    app.get('/holders', (req, res) => {
+        const collection = resolveCollection(bot, req.query.collection) || CONFIG.COLLECTIONS[0];
+        const top = Math.min(MAX_PAGE_SIZE, Math.max(0, Number(req.query.top) || 10));
+
+        res.json({
+            collection: collection.name,
+            ...bot.holders.summary(collection, top),
+            snapshots: bot.holders.snapshots(collection).slice(0, 30)
+        });
+    });
+
+    // GET /tokens/:id/history?collection= (defaults to the first collection)
+    app.get('/tokens/:id/history', (req, res) => {
+        const collection = resolveCollection(bot, req.query.collection) || CONFIG.COLLECTIONS[0];
+        const sales = bot.store.querySales({ collection: collection.address, tokenId: req.params.id });
+
+        res.json({
+            collection: collection.name,
+            tokenId: req.params.id,
+            owner: bot.holders.ownerOf(collection, req.params.id),
+            sales: sales.map(publicSale)
+        });
+    });
+
+    app.get('/metrics', (req, res) => {
+        res.set('Content-Type', 'text/plain; version=0.0.4');
+        res.send(bot.metrics.render());
+    });
+
+    if (CONFIG.ADMIN_TOKEN) {
+        app.use('/admin', adminRouter(bot));
+    }
+
+    // Express 4 only routes synchronous throws here; async handlers go through handleAsync
+    app.use((error, req, res, next) => {
+        const status = error.status || 500;
+        if (status === 500) log.error('API error', { method: req.method, path: req.path, err: error });
+        res.status(status).json({ error: error.message });
+    });
+
+    return app;
+}
+
+module.exports = { createApp, publicSale };
@@ -0,0 +1,161 @@
+const { ethers } = require('ethers');
+const { CONFIG } = require('./config');
+const { writeExport } = require('./export');
+
+// ⏪ Historical backfill and export, run from the command line:
+//   node bot.js backfill --from <block> [--to <block>] [--chunk 500] [--export csv|json] [--out file]
+//   node bot.js export [--format csv|json] [--out file] [--since 2025-01-01] [--until 2025-12-31] [--collection <address>]
+//   node bot.js holders --from <deploy block> [--to <block>] [--chunk 500]
+// The backfill goes through the same processTransferEvents()/analyzePotentialSale() path as
+// the live bot, with posting switched off: sales are classified, priced and stored, never posted.
+// Run it while the bot is stopped (or against its own DATA_FILE) - both write the same store.
+
+function parseArgs(argv) {
+    const options = {};
+
+    for (let i = 0; i < argv.length; i++) {
+        if (!argv[i].startsWith('--')) continue;
+
+        const key = argv[i].slice(2);
+        const next = argv[i + 1];
+        options[key] = next !== undefined && !next.startsWith('--') ? argv[++i] : true;
+    }
+
+    return options;
+}
+
+function parseBlock(value, name) {
+    const block = Number(value);
+    if (!Number.isInteger(block) || block < 0) {
+        throw new Error(`--${name} must be a block number, got "${value}"`);
+    }
+    return block;
+}
+
+function parseDate(value, name) {
+    const time = Date.parse(value);
+    if (Number.isNaN(time)) {
+        throw new Error(`--${name} must be a date like 2025-01-31, got "${value}"`);
+    }
+    return time;
+}
+
+async function runBackfill(bot, argv) {
+    const options = parseArgs(argv);
+    if (options.from === undefined) {
+        throw new Error('Usage: node bot.js backfill --from <block> [--to <block>] [--chunk 500] [--export csv|json] [--out file]');
+    }
+
+    const head = await bot.provider.getBlockNumber();
+    const fromBlock = parseBlock(options.from, 'from');
+    const toBlock = options.to !== undefined ? parseBlock(options.to, 'to') : head - CONFIG.CONFIRMATIONS;
+    const chunkSize = options.chunk !== undefined ? parseBlock(options.chunk, 'chunk') : CONFIG.BACKFILL_CHUNK_SIZE;
+
+    if (fromBlock > toBlock) {
+        throw new Error(`--from ${fromBlock} is after --to ${toBlock}`);
+    }
+
+    bot.postingEnabled = false;
+    const salesBefore = bot.store.data.sales.length;
+    const started = Date.now();
+
+    console.log(`⏪ Backfilling blocks ${fromBlock}-${toBlock} (${toBlock - fromBlock + 1} blocks) in chunks of ${chunkSize}, no posting`);
+
+    for (let chunkStart = fromBlock; chunkStart <= toBlock; chunkStart += chunkSize) {
+        const chunkEnd = Math.min(chunkStart + chunkSize - 1, toBlock);
+
+        // Listings from the past would show up as live ones, so only transfers are replayed
+        await bot.scanRange(chunkStart, chunkEnd, { activity: false });
+
+        const done = ((chunkEnd - fromBlock + 1) / (toBlock - fromBlock + 1)) * 100;
+        console.log(`⏪ ${done.toFixed(1)}% - through block ${chunkEnd}, ${bot.store.data.sales.length - salesBefore} new sales so far`);
+    }
+
+    bot.store.sortSales();
+
+    const found = bot.store.data.sales.length - salesBefore;
+    console.log(`✅ Backfill done in ${Math.round((Date.now() - started) / 1000)}s: ${found} new sales stored`);
+
+    // Rate-limited USD lookups are tried once more; what still fails is valued on a later run
+    const { stillMissing } = await bot.fillMissingUsd();
+    if (stillMissing > 0) {
+        console.log(`⚠️ ${stillMissing} sale(s) have no USD value yet (price lookups failed); run the backfill or start the bot again to fill them in`);
+    }
+
+    if (options.export) {
+        const sales = bot.store.data.sales.filter(sale =>
+            !sale.retracted && sale.blockNumber >= fromBlock && sale.blockNumber <= toBlock
+        );
+        writeExport(sales, bot, { format: options.export === true ? 'csv' : options.export, out: options.out });
+    }
+}
+
+// Rebuilds the holder ledger from scratch: only Transfer logs, no sale detection
+async function runHolderSeed(bot, argv) {
+    const options = parseArgs(argv);
+    if (options.from === undefined) {
+        throw new Error('Usage: node bot.js holders --from <deploy block> [--to <block>] [--chunk 500]');
+    }
+
+    const head = await bot.provider.getBlockNumber();
+    const fromBlock = parseBlock(options.from, 'from');
+    const toBlock = options.to !== undefined ? parseBlock(options.to, 'to') : head - CONFIG.CONFIRMATIONS;
+    const chunkSize = options.chunk !== undefined ? parseBlock(options.chunk, 'chunk') : CONFIG.BACKFILL_CHUNK_SIZE;
+
+    if (fromBlock > toBlock) {
+        throw new Error(`--from ${fromBlock} is after --to ${toBlock}`);
+    }
+
+    const collections = [...bot.collections.values()];
+    collections.forEach(collection => bot.holders.reset(collection));
+
+    console.log(`👥 Seeding holders from blocks ${fromBlock}-${toBlock} in chunks of ${chunkSize}`);
+
+    let applied = 0;
+    for (let chunkStart = fromBlock; chunkStart <= toBlock; chunkStart += chunkSize) {
+        const chunkEnd = Math.min(chunkStart + chunkSize - 1, toBlock);
+        const logs = await bot.provider.getLogs({
+            address: collections.map(collection => collection.address),
+            topics: [ethers.id('Transfer(address,address,uint256)')],
+            fromBlock: chunkStart,
+            toBlock: chunkEnd
+        });
+
+        for (const log of logs) {
+            const { from, to, tokenId } = bot.decodeTransferLog(log);
+            const collection = bot.collections.get(log.address.toLowerCase());
+            if (bot.holders.apply(collection, { from, to, tokenId, blockNumber: log.blockNumber, logIndex: log.logIndex })) applied++;
+        }
+
+        const done = ((chunkEnd - fromBlock + 1) / (toBlock - fromBlock + 1)) * 100;
+        console.log(`👥 ${done.toFixed(1)}% - through block ${chunkEnd}, ${applied} transfers applied`);
+    }
+
+    for (const collection of collections) {
+        bot.holders.ledger(collection).seededThrough = toBlock;
+        const summary = bot.holders.summary(collection, 0);
+        console.log(`✅ ${collection.name}: ${summary.holders} holders, supply ${summary.supply} (${summary.minted} minted, ${summary.burned} burned)`);
+    }
+    bot.store.save();
+
+    // The live poller continues from its cursor, so a seed that stops short of it leaves a gap
+    const cursor = bot.store.getCursor();
+    if (cursor !== null && cursor > toBlock) {
+        console.log(`⚠️ The bot already scanned up to block ${cursor}: transfers after ${toBlock} are missing, seed through ${cursor} or later`);
+    }
+}
+
+function runExport(bot, argv) {
+    const options = parseArgs(argv);
+    const collection = options.collection ? bot.getCollection(options.collection) : null;
+
+    const sales = bot.store.querySales({
+        collection: collection && collection.address,
+        since: options.since ? parseDate(options.since, 'since') : undefined,
+        until: options.until ? parseDate(options.until, 'until') : undefined
+    });
+
+    return writeExport(sales, bot, { format: options.format || 'csv', out: options.out });
+}
+
+module.exports = { runBackfill, runExport, runHolderSeed, parseArgs };
@@ -0,0 +1,78 @@
+const { ethers } = require('ethers');
+
+// 🎨 Collections the bot watches. Used when no COLLECTIONS_FILE is given.
+const DEFAULT_COLLECTIONS = [
+    {
+        address: '0x2420DB6CF531F932ee77F4A0912A60C31251c793',
+        name: 'Tenshis',
+        slug: 'tenshis',
+        color: '#7C3AED'
+    }
+];
+
+function parseColor(color) {
+    if (typeof color === 'number') return color;
+    if (typeof color === 'string') return parseInt(color.replace(/^#|^0x/i, ''), 16);
+    return 0x7C3AED;
+}
+
+// Lowercased wallet addresses. Anything else, such as a placeholder copied from an example
+// file, is rejected: it would never match a payment and the split would be silently wrong
+function addressList(values, field, owner) {
+    return (values || []).map(value => {
+        if (!/^0x[0-9a-f]{40}$/i.test(value)) {
+            throw new Error(`${owner}: "${value}" in ${field} is not an address`);
+        }
+        return value.toLowerCase();
+    });
+}
+
+function normalizeCollection(entry, defaultChannelId) {
+    if (!entry.address || !entry.name) {
+        throw new Error(`Collection entry needs at least an address and a name: ${JSON.stringify(entry)}`);
+    }
+
+    const address = ethers.getAddress(entry.address);
+
+    return {
+        address,
+        key: address.toLowerCase(),
+        name: entry.name,
+        slug: entry.slug || entry.name.toLowerCase().replace(/[^a-z0-9]+/g, '-'),
+        color: parseColor(entry.color),
+        channelId: entry.channelId || defaultChannelId,
+        keyTraits: entry.keyTraits || [],
+        rarityFile: entry.rarityFile || null,
+        royaltyRecipients: addressList(entry.royaltyRecipients, 'royaltyRecipients', entry.name)
+    };
+}
+
+/**
+ * Normalize the collections config (a JSON array of
+ * { address, name, slug, color, channelId, keyTraits, rarityFile, royaltyRecipients }), as read
+ * from `source` by config.js. Without entries the defaults are used. Entries without a channelId
+ * post to the default CHANNEL_ID. One address listed twice is an error, since collections are
+ * keyed by address and the later entry would silently replace the earlier one.
+ */
+function loadCollections(entries, defaultChannelId, source = 'COLLECTIONS_FILE') {
+    if (entries === null || entries === undefined) {
+        entries = DEFAULT_COLLECTIONS;
+    } else if (!Array.isArray(entries) || entries.length === 0) {
+        throw new Error(`${source} must contain a non-empty array of collections`);
+    }
+
+    const collections = entries.map(entry => normalizeCollection(entry, defaultChannelId));
+
+    const seen = new Map();
+    for (const collection of collections) {
+        const earlier = seen.get(collection.key);
+        if (earlier) {
+            throw new Error(`${source}: "${earlier.name}" and "${collection.name}" are both ${collection.address}; list each collection once`);
+        }
+        seen.set(collection.key, collection);
+    }
+
+    return collections;
+}
+
+module.exports = { loadCollections, parseColor, addressList, DEFAULT_COLLECTIONS };
@@ -0,0 +1,955 @@
+const crypto = require('crypto');
+const { ethers } = require('ethers');
+const { SlashCommandBuilder, EmbedBuilder, PermissionFlagsBits, ChannelType } = require('discord.js');
+const { CONFIG } = require('./config');
+const { EMBED_STYLES } = require('./guildSettings');
+const { listLocales } = require('./templates');
+const { PERIODS, computeSaleStats, computeRoyaltyTotals, formatAmount } = require('./stats');
+const { formatUsd } = require('./priceOracle');
+const { renderTemplate } = require('./notifiers/template');
+const { logger, LEVELS } = require('./logger');
+
+const log = logger.child({ component: 'commands' });
+
+// Global state (alert rules, the delivery queue, treasury totals): partner servers from /setup
+// must not reach these, so they need a bot admin or a Manage Server member of the home server
+const OPERATOR_COMMANDS = ['royalties', 'deliveries', 'alerts'];
+
+const collectionChoices = CONFIG.COLLECTIONS
+    .slice(0, 25)
+    .map(collection => ({ name: collection.name, value: collection.key }));
+
+const localeChoices = listLocales(CONFIG.LOCALES_DIR)
+    .slice(0, 25)
+    .map(locale => ({ name: locale, value: locale }));
+
+function addCollectionOption(builder, required = false) {
+    return builder.addStringOption(option => option
+        .setName('collection')
+        .setDescription('Which collection to look at')
+        .setRequired(required)
+        .addChoices(...collectionChoices));
+}
+
+function addTextChannelOption(builder, description) {
+    return builder.addChannelOption(option => option
+        .setName('channel')
+        .setDescription(description)
+        .addChannelTypes(ChannelType.GuildText, ChannelType.GuildAnnouncement));
+}
+
+// What an alert rule does when it fires - shared by every /alerts add-style subcommand
+function addAlertActions(builder) {
+    return builder
+        .addRoleOption(option => option
+            .setName('role')
+            .setDescription('Role to ping'))
+        .addChannelOption(option => option
+            .setName('channel')
+            .setDescription('Also post matching sales to this channel'))
+        .addStringOption(option => option
+            .setName('color')
+            .setDescription('Embed colour, e.g. #FFD700'))
+        .addStringOption(option => option
+            .setName('title')
+            .setDescription('Title prefix, e.g. 🐋 Whale Alert'));
+}
+
+const COMMANDS = [
+    new SlashCommandBuilder()
+        .setName('sales')
+        .setDescription('Look up recorded sales')
+        .addSubcommand(sub => addCollectionOption(sub
+            .setName('recent')
+            .setDescription('Most recent sales')
+            .addIntegerOption(option => option
+                .setName('n')
+                .setDescription('How many sales to show (1-10)')
+                .setMinValue(1)
+                .setMaxValue(10))))
+        .addSubcommand(sub => addCollectionOption(sub
+            .setName('token')
+            .setDescription('Sale history of one token')
+            .addStringOption(option => option
+                .setName('id')
+                .setDescription('Token ID')
+                .setRequired(true)))),
+    addCollectionOption(new SlashCommandBuilder()
+        .setName('stats')
+        .setDescription('Volume, count and price range over a period')
+        .addStringOption(option => option
+            .setName('period')
+            .setDescription('Time window (defaults to 24h)')
+            .addChoices(...Object.keys(PERIODS).map(period => ({ name: period, value: period }))))),
+    addCollectionOption(new SlashCommandBuilder()
+        .setName('holders')
+        .setDescription('Holder count, supply and top holders, or what one wallet holds')
+        .addStringOption(option => option
+            .setName('wallet')
+            .setDescription('Show the tokens this wallet holds'))),
+    addCollectionOption(new SlashCommandBuilder()
+        .setName('royalties')
+        .setDescription('Creator royalties and marketplace fees paid on recorded sales')
+        .setDefaultMemberPermissions(PermissionFlagsBits.ManageGuild)
+        .addStringOption(option => option
+            .setName('period')
+            .setDescription('Time window (defaults to 30d)')
+            .addChoices(...[...Object.keys(PERIODS), 'all'].map(period => ({ name: period, value: period }))))),
+    new SlashCommandBuilder()
+        .setName('status')
+        .setDescription('Bot uptime, checks and block progress'),
+    new SlashCommandBuilder()
+        .setName('deliveries')
+        .setDescription('Inspect and replay sale posts that failed to deliver')
+        .setDefaultMemberPermissions(PermissionFlagsBits.ManageGuild)
+        .addSubcommand(sub => sub
+            .setName('failed')
+            .setDescription('List dead-lettered sale posts'))
+        .addSubcommand(sub => sub
+            .setName('replay')
+            .setDescription('Queue failed posts again')
+            .addStringOption(option => option
+                .setName('id')
+                .setDescription('Delivery ID (txHash-logIndex); replays all when omitted'))),
+    new SlashCommandBuilder()
+        .setName('wallet')
+        .setDescription('Link your wallet so sales show your Discord name instead of an address')
+        .addSubcommand(sub => sub
+            .setName('link')
+            .setDescription('Start linking a wallet - you will get a message to sign')
+            .addStringOption(option => option
+                .setName('address')
+                .setDescription('Your wallet address')
+                .setRequired(true)))
+        .addSubcommand(sub => sub
+            .setName('verify')
+            .setDescription('Finish linking with the signature of the message')
+            .addStringOption(option => option
+                .setName('signature')
+                .setDescription('Signature (0x...) from your wallet')
+                .setRequired(true)))
+        .addSubcommand(sub => sub
+            .setName('unlink')
+            .setDescription('Remove every wallet linked to your account'))
+        .addSubcommand(sub => sub
+            .setName('show')
+            .setDescription('Show the wallets linked to your account')),
+    new SlashCommandBuilder()
+        .setName('alerts')
+        .setDescription('Manage whale, watchlist and token alert rules')
+        .setDefaultMemberPermissions(PermissionFlagsBits.ManageGuild)
+        .addSubcommand(sub => sub
+            .setName('list')
+            .setDescription('Show every alert rule'))
+        .addSubcommand(sub => addAlertActions(sub
+            .setName('price')
+            .setDescription('Alert on sales above a price')
+            .addNumberOption(option => option
+                .setName('min_usd')
+                .setDescription('Minimum sale value in USD'))
+            .addNumberOption(option => option
+                .setName('min_price')
+                .setDescription('Minimum price in the sale currency'))
+            .addStringOption(option => option
+                .setName('currency')
+                .setDescription('Currency for min_price (defaults to HYPE)'))))
+        .addSubcommand(sub => addAlertActions(sub
+            .setName('wallet')
+            .setDescription('Alert when a watched wallet buys or sells')
+            .addStringOption(option => option
+                .setName('address')
+                .setDescription('Wallet address')
+                .setRequired(true))
+            .addStringOption(option => option
+                .setName('side')
+                .setDescription('Which side to watch (defaults to both)')
+                .addChoices(
+                    { name: 'buyer', value: 'buyer' },
+                    { name: 'seller', value: 'seller' },
+                    { name: 'both', value: 'any' }
+                ))
+            .addStringOption(option => option
+                .setName('label')
+                .setDescription('Name to show for the wallet'))))
+        .addSubcommand(sub => addAlertActions(sub
+            .setName('accumulation')
+            .setDescription('Alert when one wallet buys several within a window')
+            .addIntegerOption(option => option
+                .setName('count')
+                .setDescription('Number of purchases')
+                .setMinValue(2)
+                .setRequired(true))
+            .addIntegerOption(option => option
+                .setName('hours')
+                .setDescription('Window in hours (defaults to 24)')
+                .setMinValue(1))))
+        .addSubcommand(sub => addAlertActions(addCollectionOption(sub
+            .setName('tokens')
+            .setDescription('Alert when specific tokens sell')
+            .addStringOption(option => option
+                .setName('ids')
+                .setDescription('Comma-separated token IDs')
+                .setRequired(true)))))
+        .addSubcommand(sub => sub
+            .setName('remove')
+            .setDescription('Remove a rule added with /alerts')
+            .addStringOption(option => option
+                .setName('id')
+                .setDescription('Rule ID from /alerts list')
+                .setRequired(true))),
+    new SlashCommandBuilder()
+        .setName('setup')
+        .setDescription('Choose where and how this server gets sales')
+        .setDefaultMemberPermissions(PermissionFlagsBits.ManageGuild)
+        .setDMPermission(false)
+        .addSubcommand(sub => sub
+            .setName('show')
+            .setDescription('Show this server\'s settings'))
+        .addSubcommand(sub => addTextChannelOption(sub
+            .setName('channel')
+            .setDescription('Post sales in a channel'), 'Sales channel (defaults to this one)'))
+        .addSubcommand(sub => addTextChannelOption(sub
+            .setName('alerts')
+            .setDescription('Also post sales that match alert rules in a channel (omit to turn off)'), 'Alerts channel'))
+        .addSubcommand(sub => sub
+            .setName('minimum')
+            .setDescription('Only post sales above a price (no options clears it)')
+            .addNumberOption(option => option
+                .setName('min_usd')
+                .setDescription('Minimum sale value in USD')
+                .setMinValue(0))
+            .addNumberOption(option => option
+                .setName('min_price')
+                .setDescription('Minimum price in the currency below')
+                .setMinValue(0))
+            .addStringOption(option => option
+                .setName('currency')
+                .setDescription('Currency for min_price (defaults to HYPE)')))
+        .addSubcommand(sub => sub
+            .setName('style')
+            .setDescription('Rich or compact sale posts')
+            .addStringOption(option => option
+                .setName('style')
+                .setDescription('Embed layout')
+                .setRequired(true)
+                .addChoices(...EMBED_STYLES.map(style => ({ name: style, value: style })))))
+        .addSubcommand(sub => sub
+            .setName('language')
+            .setDescription('Language of sale posts')
+            .addStringOption(option => option
+                .setName('locale')
+                .setDescription('Language code')
+                .setRequired(true)
+                .addChoices(...localeChoices)))
+        .addSubcommand(sub => addCollectionOption(sub
+            .setName('follow')
+            .setDescription('Follow a collection (following none means all)'), true))
+        .addSubcommand(sub => addCollectionOption(sub
+            .setName('unfollow')
+            .setDescription('Stop following a collection'), true))
+        .addSubcommand(sub => sub
+            .setName('disable')
+            .setDescription('Stop posting sales in this server and forget its settings')),
+    // Hidden from everyone but server admins; the handler also requires ADMIN_USER_IDS
+    new SlashCommandBuilder()
+        .setName('admin')
+        .setDescription('Control the bot while it runs (bot admins only)')
+        .setDefaultMemberPermissions(PermissionFlagsBits.Administrator)
+        .addSubcommand(sub => sub
+            .setName('status')
+            .setDescription('Show whether monitoring is paused, live settings and the last rescan'))
+        .addSubcommand(sub => sub
+            .setName('pause')
+            .setDescription('Stop scanning for sales until resumed'))
+        .addSubcommand(sub => sub
+            .setName('resume')
+            .setDescription('Scan again, catching up on the blocks missed while paused'))
+        .addSubcommand(sub => sub
+            .setName('rescan')
+            .setDescription('Scan a block range again and post sales it missed')
+            .addIntegerOption(option => option
+                .setName('from')
+                .setDescription('First block')
+                .setRequired(true)
+                .setMinValue(0))
+            .addIntegerOption(option => option
+                .setName('to')
+                .setDescription('Last block')
+                .setRequired(true)
+                .setMinValue(0)))
+        .addSubcommand(sub => sub
+            .setName('repost')
+            .setDescription('Post a recorded sale again')
+            .addStringOption(option => option
+                .setName('id')
+                .setDescription('Sale ID (txHash-logIndex)')
+                .setRequired(true)))
+        .addSubcommand(sub => sub
+            .setName('delete')
+            .setDescription('Delete a sale\'s posts and drop it from stats')
+            .addStringOption(option => option
+                .setName('id')
+                .setDescription('Sale ID (txHash-logIndex)')
+                .setRequired(true)))
+        .addSubcommand(sub => sub
+            .setName('set')
+            .setDescription('Change settings live (0 puts a setting back to its default)')
+            .addIntegerOption(option => option
+                .setName('check_interval')
+                .setDescription('Seconds between polls')
+                .setMinValue(0))
+            .addNumberOption(option => option
+                .setName('confidence')
+                .setDescription('Sale confidence cutoff, 1-100')
+                .setMinValue(0)
+                .setMaxValue(100))
+            .addStringOption(option => option
+                .setName('log_level')
+                .setDescription('Log level')
+                .addChoices(...Object.keys(LEVELS).map(level => ({ name: level, value: level })))))
+];
+
+// 💬 Slash command registration and replies, built from the bot's recorded sales
+class CommandHandler {
+    constructor(bot) {
+        this.bot = bot;
+        this.walletChallenges = new Map(); // userId -> { address, message, expiresAt }
+        this.handlers = {
+            sales: (interaction, t) => this.handleSales(interaction, t),
+            stats: (interaction, t) => this.handleStats(interaction, t),
+            holders: (interaction, t) => this.handleHolders(interaction, t),
+            royalties: (interaction, t) => this.handleRoyalties(interaction, t),
+            status: (interaction) => this.handleStatus(interaction),
+            deliveries: (interaction, t) => this.handleDeliveries(interaction, t),
+            alerts: (interaction, t) => this.handleAlerts(interaction, t),
+            wallet: (interaction, t) => this.handleWallet(interaction, t),
+            setup: (interaction, t) => this.handleSetup(interaction, t),
+            admin: (interaction, t) => this.handleAdmin(interaction, t)
+        };
+    }
+
+    async register() {
+        const data = COMMANDS.map(command => command.toJSON());
+
+        // A guild ID registers instantly; global commands can take up to an hour to appear
+        if (CONFIG.GUILD_ID) {
+            await this.bot.client.application.commands.set(data, CONFIG.GUILD_ID);
+        } else {
+            await this.bot.client.application.commands.set(data);
+        }
+
+        log.info('Registered slash commands', { count: data.length, guild: CONFIG.GUILD_ID || undefined });
+    }
+
+    async handle(interaction) {
+        if (!interaction.isChatInputCommand()) return;
+
+        const handler = this.handlers[interaction.commandName];
+        if (!handler) return;
+
+        const t = this.translator(interaction);
+
+        try {
+            log.info(`/${interaction.commandName}`, { user: interaction.user.tag, userId: interaction.user.id, guild: interaction.guildId || undefined });
+
+            if (OPERATOR_COMMANDS.includes(interaction.commandName) && !this.isOperator(interaction)) {
+                log.warn(`Refused /${interaction.commandName}`, { user: interaction.user.tag, userId: interaction.user.id, guild: interaction.guildId || undefined });
+                await interaction.reply({ content: t('notOperator', { command: interaction.commandName }), ephemeral: true });
+                return;
+            }
+
+            await handler(interaction, t);
+        } catch (error) {
+            log.error(`/${interaction.commandName} failed`, { user: interaction.user.tag, err: error });
+
+            const reply = { content: t('commandFailed'), ephemeral: true };
+            if (interaction.replied || interaction.deferred) {
+                await interaction.followUp(reply).catch(() => {});
+            } else {
+                await interaction.reply(reply).catch(() => {});
+            }
+        }
+    }
+
+    // Replies are worded in the language picked for the channel the command is run in, like /status
+    translator(interaction) {
+        const guild = interaction.inGuild() ? this.bot.guildSettings.get(interaction.guildId) : null;
+        const strings = this.bot.templates.strings(this.bot.templates.forChannel(interaction.channelId, guild).locale);
+
+        return (key, variables = {}) => renderTemplate(strings[key], variables);
+    }
+
+    // Discord already limits these commands to Manage Server; that only counts in the home server
+    isOperator(interaction) {
+        return CONFIG.ADMIN_USER_IDS.includes(interaction.user.id) ||
+            Boolean(CONFIG.HOME_GUILD_ID && interaction.guildId === CONFIG.HOME_GUILD_ID);
+    }
+
+    async handleSales(interaction, t) {
+        const collectionKey = interaction.options.getString('collection');
+        const subcommand = interaction.options.getSubcommand();
+
+        if (subcommand === 'token') {
+            const tokenId = interaction.options.getString('id').trim();
+            const collection = this.bot.getCollection(collectionKey);
+            const sales = this.bot.store.querySales({ collection: collection.address, tokenId, limit: 10 });
+
+            const embed = new EmbedBuilder()
+                .setTitle(t('saleHistoryTitle', { collection: collection.name, tokenId }))
+                .setColor(collection.color)
+                .setDescription(sales.length > 0
+                    ? sales.map(sale => this.formatSaleLine(sale, false, t)).join('\n')
+                    : t('noTokenSales'))
+                .setTimestamp();
+
+            await interaction.reply({ embeds: [embed] });
+            return;
+        }
+
+        const limit = interaction.options.getInteger('n') || 5;
+        const collection = collectionKey ? this.bot.getCollection(collectionKey) : null;
+        const sales = this.bot.store.querySales({ collection: collection && collection.address, limit });
+
+        const embed = new EmbedBuilder()
+            .setTitle(collection ? t('recentCollectionSalesTitle', { collection: collection.name }) : t('recentSalesTitle'))
+            .setColor(collection ? collection.color : 0x7C3AED)
+            .setDescription(sales.length > 0
+                ? sales.map(sale => this.formatSaleLine(sale, true, t)).join('\n')
+                : t('noSales'))
+            .setTimestamp();
+
+        await interaction.reply({ embeds: [embed] });
+    }
+
+    async handleStats(interaction, t) {
+        const period = interaction.options.getString('period') || '24h';
+        const collectionKey = interaction.options.getString('collection');
+        const collection = collectionKey ? this.bot.getCollection(collectionKey) : null;
+
+        const sales = this.bot.store.querySales({
+            collection: collection && collection.address,
+            since: Date.now() - PERIODS[period]
+        });
+        const stats = computeSaleStats(sales);
+
+        const embed = new EmbedBuilder()
+            .setTitle(t('statsTitle', { collection: collection ? collection.name : t('allCollections'), period }))
+            .setColor(collection ? collection.color : 0x7C3AED)
+            .addFields(
+                { name: t('salesLabel'), value: stats.count.toString(), inline: true },
+                { name: t('usdVolumeLabel'), value: formatUsd(stats.usdVolume), inline: true },
+                { name: t('buyersSellersLabel'), value: `${stats.uniqueBuyers} / ${stats.uniqueSellers}`, inline: true }
+            )
+            .setTimestamp();
+
+        for (const [currency, bucket] of Object.entries(stats.byCurrency)) {
+            embed.addFields({
+                name: t('currencyLabel', { currency }),
+                value: t('statsCurrencyValue', {
+                    volume: formatAmount(bucket.volume),
+                    floor: formatAmount(bucket.floor),
+                    average: formatAmount(bucket.average),
+                    max: formatAmount(bucket.max)
+                }),
+                inline: true
+            });
+        }
+
+        if (stats.topSale) {
+            embed.addFields({ name: t('topSaleLabel'), value: this.formatSaleLine(stats.topSale, !collection, t), inline: false });
+        }
+
+        if (stats.unpriced > 0) {
+            embed.setFooter({ text: t('unpricedFooter', { count: stats.unpriced }) });
+        }
+
+        await interaction.reply({ embeds: [embed] });
+    }
+
+    async handleHolders(interaction, t) {
+        const holders = this.bot.holders;
+        const collection = this.bot.getCollection(interaction.options.getString('collection'));
+        const wallet = interaction.options.getString('wallet');
+
+        if (wallet) {
+            if (!ethers.isAddress(wallet.trim())) {
+                await interaction.reply({ content: t('notAWallet'), ephemeral: true });
+                return;
+            }
+
+            const tokens = holders.tokensOf(collection, wallet.trim());
+            const list = tokens.map(id => `#${id}`).join(', ');
+            await interaction.reply({
+                content: tokens.length > 0
+                    ? t('walletHolds', {
+                        wallet: this.bot.shortenAddress(wallet),
+                        count: tokens.length,
+                        collection: collection.name,
+                        tokens: list.length > 1800 ? `${list.slice(0, 1800)}…` : list
+                    })
+                    : t('walletHoldsNone', { wallet: this.bot.shortenAddress(wallet), collection: collection.name }),
+                ephemeral: true
+            });
+            return;
+        }
+
+        await interaction.deferReply();
+        const summary = holders.summary(collection);
+
+        const change = (daysAgo) => {
+            const snapshot = holders.snapshotBefore(collection, daysAgo);
+            if (!snapshot) return '';
+            const delta = summary.holders - snapshot.holders;
+            return ` (${delta >= 0 ? '+' : ''}${delta} ${daysAgo === 1 ? '24h' : `${daysAgo}d`})`;
+        };
+
+        const topLines = await Promise.all(summary.top.map(async (holder, i) => {
+            const identity = await this.bot.identity.resolve(holder.address);
+            const name = identity ? `**${identity.name}**` : `\`${this.bot.shortenAddress(holder.address)}\``;
+            return `${i + 1}. ${name} • ${holder.count} (${(holder.share * 100).toFixed(1)}%)`;
+        }));
+
+        const embed = new EmbedBuilder()
+            .setTitle(t('holdersTitle', { collection: collection.name }))
+            .setColor(collection.color)
+            .addFields(
+                { name: t('holdersLabel'), value: `${summary.holders.toLocaleString('en-US')}${change(1)}${change(7)}`, inline: true },
+                { name: t('supplyLabel'), value: summary.supply.toLocaleString('en-US'), inline: true },
+                { name: t('mintedBurnedLabel'), value: `${summary.minted} / ${summary.burned}`, inline: true },
+                { name: t('topHoldersLabel'), value: topLines.length > 0 ? topLines.join('\n') : t('noHolders'), inline: false }
+            )
+            .setTimestamp();
+
+        if (!summary.seeded) {
+            embed.setFooter({ text: t('holdersPartialFooter') });
+        }
+
+        await interaction.editReply({ embeds: [embed] });
+    }
+
+    async handleRoyalties(interaction, t) {
+        const period = interaction.options.getString('period') || '30d';
+        const collectionKey = interaction.options.getString('collection');
+        const collection = collectionKey ? this.bot.getCollection(collectionKey) : null;
+
+        const totals = computeRoyaltyTotals(this.bot.store.querySales({
+            collection: collection && collection.address,
+            since: PERIODS[period] ? Date.now() - PERIODS[period] : undefined
+        }));
+
+        const embed = new EmbedBuilder()
+            .setTitle(t('royaltiesTitle', { collection: collection ? collection.name : t('allCollections'), period }))
+            .setColor(collection ? collection.color : 0x7C3AED)
+            .addFields(
+                { name: t('royaltiesLabel'), value: formatUsd(totals.royaltyUsd), inline: true },
+                { name: t('marketplaceFeesLabel'), value: formatUsd(totals.marketplaceFeeUsd), inline: true },
+                { name: t('salesLabel'), value: totals.count.toString(), inline: true }
+            )
+            .setTimestamp();
+
+        for (const [currency, bucket] of Object.entries(totals.byCurrency)) {
+            embed.addFields({
+                name: t('currencyLabel', { currency }),
+                value: t('royaltiesCurrencyValue', {
+                    royalty: formatAmount(bucket.royalty),
+                    fee: formatAmount(bucket.marketplaceFee),
+                    sellerProceeds: formatAmount(bucket.sellerProceeds)
+                }),
+                inline: true
+            });
+        }
+
+        const venues = Object.entries(totals.byVenue).map(([key, bucket]) => {
+            const venue = this.bot.marketplaces.get(key);
+            return t('venueLine', { venue: venue ? venue.name : t('unknownVenue'), count: bucket.count, royaltyUsd: formatUsd(bucket.royaltyUsd) });
+        });
+        if (venues.length > 0) {
+            embed.addFields({ name: t('byMarketplaceLabel'), value: venues.join('\n'), inline: false });
+        }
+
+        if (totals.withoutBreakdown > 0) {
+            embed.setFooter({ text: t('withoutBreakdownFooter', { count: totals.withoutBreakdown }) });
+        }
+
+        await interaction.reply({ embeds: [embed] });
+    }
+
+    async handleStatus(interaction) {
+        await interaction.deferReply();
+        const guild = interaction.inGuild() ? this.bot.guildSettings.get(interaction.guildId) : null;
+        const embed = await this.bot.buildStatusEmbed(this.bot.templates.forChannel(interaction.channelId, guild));
+        await interaction.editReply({ embeds: [embed] });
+    }
+
+    async handleDeliveries(interaction, t) {
+        const queue = this.bot.deliveryQueue;
+
+        if (interaction.options.getSubcommand() === 'replay') {
+            const count = queue.replay(interaction.options.getString('id'));
+            await interaction.reply({ content: t('deliveriesReplayed', { count }), ephemeral: true });
+            return;
+        }
+
+        const dead = queue.deadLetters().slice(0, 10);
+        const embed = new EmbedBuilder()
+            .setTitle(t('failedDeliveriesTitle'))
+            .setColor(0xff4444)
+            .setDescription(dead.length > 0
+                ? dead.map(job => `**${queue.describe(job)}** \`${job.id}\`\n${job.lastError}`).join('\n\n').slice(0, 4000)
+                : t('noFailedDeliveries'))
+            .setFooter({ text: t('pendingFooter', { count: queue.depth() }) })
+            .setTimestamp();
+
+        await interaction.reply({ embeds: [embed], ephemeral: true });
+    }
+
+    // Linking is opt-in and proven by signing a one-time message, so nobody can claim another wallet
+    async handleWallet(interaction, t) {
+        const identity = this.bot.identity;
+        const user = interaction.user;
+        const subcommand = interaction.options.getSubcommand();
+
+        if (subcommand === 'link') {
+            const address = interaction.options.getString('address').trim();
+            if (!ethers.isAddress(address)) {
+                await interaction.reply({ content: t('notAWallet'), ephemeral: true });
+                return;
+            }
+
+            const message = `Link ${ethers.getAddress(address)} to Discord user ${user.id} (${crypto.randomBytes(8).toString('hex')})`;
+            this.walletChallenges.set(user.id, { address: ethers.getAddress(address), message, expiresAt: Date.now() + 15 * 60 * 1000 });
+
+            await interaction.reply({
+                content: t('walletSignPrompt', { wallet: this.bot.shortenAddress(address), message }),
+                ephemeral: true
+            });
+            return;
+        }
+
+        if (subcommand === 'verify') {
+            const challenge = this.walletChallenges.get(user.id);
+            if (!challenge || challenge.expiresAt < Date.now()) {
+                await interaction.reply({ content: t('noPendingLink'), ephemeral: true });
+                return;
+            }
+
+            let signer = null;
+            try {
+                signer = ethers.verifyMessage(challenge.message, interaction.options.getString('signature').trim());
+            } catch (error) {
+                // Malformed signature - handled as a mismatch below
+            }
+
+            if (signer !== challenge.address) {
+                await interaction.reply({ content: t('wrongSigner'), ephemeral: true });
+                return;
+            }
+
+            this.walletChallenges.delete(user.id);
+            identity.link(challenge.address, user);
+            await interaction.reply({ content: t('walletLinked', { wallet: this.bot.shortenAddress(challenge.address) }), ephemeral: true });
+            return;
+        }
+
+        if (subcommand === 'unlink') {
+            const removed = identity.unlink(user.id);
+            await interaction.reply({
+                content: removed.length > 0 ? t('walletsUnlinked', { count: removed.length }) : t('noLinkedWallets'),
+                ephemeral: true
+            });
+            return;
+        }
+
+        const wallets = identity.linkedWallets(user.id);
+        await interaction.reply({
+            content: wallets.length > 0
+                ? t('linkedWallets', { wallets: wallets.map(address => `\`${ethers.getAddress(address)}\``).join('\n') })
+                : t('noLinkedWalletsHint'),
+            ephemeral: true
+        });
+    }
+
+    async handleAlerts(interaction, t) {
+        const rules = this.bot.alertRules;
+        const subcommand = interaction.options.getSubcommand();
+        const options = interaction.options;
+
+        if (subcommand === 'list') {
+            const embed = new EmbedBuilder()
+                .setTitle(t('alertRulesTitle'))
+                .setColor(0xff4444)
+                .setDescription(rules.rules.length > 0
+                    ? rules.rules.map(rule => this.formatAlertRule(rule, t)).join('\n').slice(0, 4000)
+                    : t('noAlertRules'))
+                .setTimestamp();
+
+            await interaction.reply({ embeds: [embed], ephemeral: true });
+            return;
+        }
+
+        if (subcommand === 'remove') {
+            const id = options.getString('id').trim();
+            const removed = rules.remove(id);
+
+            await interaction.reply({
+                content: removed ? t('alertRuleRemoved', { id }) : t('alertRuleNotFound', { id }),
+                ephemeral: true
+            });
+            return;
+        }
+
+        const rule = { type: subcommand === 'wallet' ? 'watchlist' : subcommand };
+
+        if (subcommand === 'price') {
+            rule.minUsd = options.getNumber('min_usd');
+            rule.minPrice = options.getNumber('min_price');
+            rule.currency = options.getString('currency') || undefined;
+        } else if (subcommand === 'wallet') {
+            const address = options.getString('address').trim();
+            if (!/^0x[0-9a-fA-F]{40}$/.test(address)) {
+                await interaction.reply({ content: t('notAWallet'), ephemeral: true });
+                return;
+            }
+            rule.wallets = [address];
+            rule.side = options.getString('side') || 'any';
+            rule.label = options.getString('label') || undefined;
+        } else if (subcommand === 'accumulation') {
+            rule.count = options.getInteger('count');
+            rule.windowHours = options.getInteger('hours') || 24;
+        } else if (subcommand === 'tokens') {
+            const collectionKey = options.getString('collection');
+            rule.tokenIds = options.getString('ids').split(',').map(id => id.trim()).filter(Boolean);
+            rule.collection = collectionKey ? this.bot.getCollection(collectionKey).address : undefined;
+        }
+
+        const role = options.getRole('role');
+        const channel = options.getChannel('channel');
+        rule.roleId = role ? role.id : undefined;
+        rule.channelId = channel ? channel.id : undefined;
+        rule.color = options.getString('color') || undefined;
+        rule.title = options.getString('title') || undefined;
+
+        try {
+            const added = rules.add(rule);
+            await interaction.reply({ content: t('alertRuleAdded', { rule: this.formatAlertRule(added, t) }), ephemeral: true });
+        } catch (error) {
+            await interaction.reply({ content: `❌ ${error.message}`, ephemeral: true });
+        }
+    }
+
+    async handleSetup(interaction, t) {
+        if (!interaction.inGuild()) {
+            await interaction.reply({ content: t('setupGuildOnly'), ephemeral: true });
+            return;
+        }
+
+        const settings = this.bot.guildSettings;
+        const guildId = interaction.guildId;
+        const subcommand = interaction.options.getSubcommand();
+        const options = interaction.options;
+        let content;
+
+        if (subcommand === 'channel') {
+            const channel = options.getChannel('channel') || interaction.channel;
+            settings.update(guildId, { salesChannelId: channel.id });
+            content = t('setupChannelSet', { channel: `<#${channel.id}>` });
+        } else if (subcommand === 'alerts') {
+            const channel = options.getChannel('channel');
+            settings.update(guildId, { alertChannelId: channel ? channel.id : null });
+            content = channel ? t('setupAlertsSet', { channel: `<#${channel.id}>` }) : t('setupAlertsOff');
+        } else if (subcommand === 'minimum') {
+            settings.update(guildId, {
+                minUsd: options.getNumber('min_usd') || null,
+                minPrice: options.getNumber('min_price') || null,
+                currency: options.getString('currency') || 'HYPE'
+            });
+            content = t('setupMinimumSet');
+        } else if (subcommand === 'style') {
+            settings.update(guildId, { embedStyle: options.getString('style') });
+            content = t('setupStyleSet', { style: options.getString('style') });
+        } else if (subcommand === 'language') {
+            settings.update(guildId, { locale: options.getString('locale') });
+            content = t('setupLanguageSet', { locale: options.getString('locale') });
+        } else if (subcommand === 'follow' || subcommand === 'unfollow') {
+            const collection = this.bot.getCollection(options.getString('collection'));
+            const current = (settings.get(guildId) || {}).collections || [];
+            const collections = subcommand === 'follow'
+                ? [...new Set([...current, collection.key])]
+                : current.filter(key => key !== collection.key);
+
+            settings.update(guildId, { collections });
+            content = t(subcommand === 'follow' ? 'setupFollowing' : 'setupUnfollowing', { collection: collection.name });
+        } else if (subcommand === 'disable') {
+            const removed = settings.remove(guildId);
+            await interaction.reply({
+                content: removed ? t('setupDisabled') : t('setupNotSetUp'),
+                ephemeral: true
+            });
+            return;
+        }
+
+        const guild = settings.get(guildId);
+        const embed = this.buildSetupEmbed(guild, t);
+        if (guild && !guild.salesChannelId) {
+            embed.setFooter({ text: t('setupNoChannelFooter') });
+        }
+
+        await interaction.reply({ content, embeds: [embed], ephemeral: true });
+    }
+
+    // Discord permissions only hide /admin; who may use it is ADMIN_USER_IDS
+    async handleAdmin(interaction, t) {
+        if (!CONFIG.ADMIN_USER_IDS.includes(interaction.user.id)) {
+            log.warn('Refused /admin', { user: interaction.user.tag, userId: interaction.user.id });
+            await interaction.reply({ content: t('adminOnly'), ephemeral: true });
+            return;
+        }
+
+        const admin = this.bot.admin;
+        const options = interaction.options;
+        const subcommand = options.getSubcommand();
+        const actor = `discord:${interaction.user.id}`;
+        let content;
+
+        try {
+            if (subcommand === 'pause') {
+                admin.pause(actor);
+                content = t('adminPaused');
+            } else if (subcommand === 'resume') {
+                admin.resume(actor);
+                content = t('adminResumed');
+            } else if (subcommand === 'rescan') {
+                const rescan = admin.startRescan(options.getInteger('from'), options.getInteger('to'), actor);
+                content = t('adminRescanning', { fromBlock: rescan.fromBlock, toBlock: rescan.toBlock });
+            } else if (subcommand === 'repost') {
+                const sale = admin.repostSale(options.getString('id').trim(), actor);
+                content = t('adminReposted', { tokenId: sale.tokenId });
+            } else if (subcommand === 'delete') {
+                await interaction.deferReply({ ephemeral: true });
+                const sale = await admin.deleteSale(options.getString('id').trim(), actor);
+                await interaction.editReply({ content: t('adminDeleted', { tokenId: sale.tokenId }) });
+                return;
+            } else if (subcommand === 'set') {
+                const changes = {};
+                const interval = options.getInteger('check_interval');
+                const confidence = options.getNumber('confidence');
+                const level = options.getString('log_level');
+
+                if (interval !== null) changes.checkInterval = interval === 0 ? null : interval * 1000;
+                if (confidence !== null) changes.confidenceThreshold = confidence === 0 ? null : confidence;
+                if (level !== null) changes.logLevel = level;
+                if (Object.keys(changes).length === 0) {
+                    await interaction.reply({ content: t('adminPickSetting'), ephemeral: true });
+                    return;
+                }
+
+                admin.updateSettings(changes, actor);
+                content = t('adminSettingsUpdated');
+            }
+        } catch (error) {
+            const reply = { content: `❌ ${error.message}`, ephemeral: true };
+            await (interaction.deferred ? interaction.editReply(reply) : interaction.reply(reply));
+            return;
+        }
+
+        await interaction.reply({ content, embeds: [this.buildAdminEmbed(admin.status(), t)], ephemeral: true });
+    }
+
+    buildAdminEmbed(status, t) {
+        const { settings, overrides, rescan } = status;
+        const setting = (name, value) => `${value}${overrides[name] !== undefined ? ` ${t('liveSetting')}` : ''}`;
+        const embed = new EmbedBuilder()
+            .setTitle(t('adminTitle'))
+            .setColor(status.paused ? 0xffaa00 : 0x00ff88)
+            .addFields(
+                {
+                    name: t('monitoringLabel'),
+                    value: status.paused
+                        ? t('monitoringPaused', { actor: status.pausedBy, since: `<t:${Math.floor(Date.parse(status.pausedAt) / 1000)}:R>` })
+                        : t('monitoringRunning'),
+                    inline: false
+                },
+                { name: t('checkIntervalLabel'), value: setting('checkInterval', `${settings.checkInterval / 1000}s`), inline: true },
+                { name: t('confidenceCutoffLabel'), value: setting('confidenceThreshold', `${settings.confidenceThreshold}%`), inline: true },
+                { name: t('logLevelLabel'), value: setting('logLevel', settings.logLevel), inline: true },
+                { name: t('lastBlockLabel'), value: String(status.lastProcessedBlock), inline: true }
+            )
+            .setTimestamp();
+
+        if (rescan) {
+            let progress;
+            if (rescan.error) {
+                progress = t('rescanFailed', { block: rescan.through || rescan.fromBlock, error: rescan.error });
+            } else if (rescan.running) {
+                progress = t('rescanRunning', { block: rescan.through || '…', found: rescan.found });
+            } else {
+                progress = t('rescanDone', { found: rescan.found });
+            }
+            embed.addFields({ name: t('rescanLabel'), value: `${rescan.fromBlock}-${rescan.toBlock}: ${progress}`, inline: false });
+        }
+
+        return embed;
+    }
+
+    buildSetupEmbed(guild, t) {
+        const embed = new EmbedBuilder()
+            .setTitle(t('serverSettingsTitle'))
+            .setColor(0x7C3AED);
+
+        if (!guild) {
+            return embed.setDescription(t('setupNotStarted'));
+        }
+
+        const minimum = [
+            guild.minUsd && `$${guild.minUsd}`,
+            guild.minPrice && `${guild.minPrice} ${guild.currency || 'HYPE'}`
+        ].filter(Boolean).join(` ${t('and')} `);
+        const collections = guild.collections.length > 0
+            ? guild.collections.map(key => this.bot.getCollection(key).name).join(', ')
+            : t('all');
+
+        return embed.addFields(
+            { name: t('salesChannelLabel'), value: guild.salesChannelId ? `<#${guild.salesChannelId}>` : t('notSet'), inline: true },
+            { name: t('alertsChannelLabel'), value: guild.alertChannelId ? `<#${guild.alertChannelId}>` : t('off'), inline: true },
+            { name: t('styleLabel'), value: guild.embedStyle, inline: true },
+            { name: t('languageLabel'), value: guild.locale || CONFIG.LOCALE, inline: true },
+            { name: t('minimumLabel'), value: minimum || t('none'), inline: true },
+            { name: t('followedLabel'), value: collections, inline: true }
+        );
+    }
+
+    formatAlertRule(rule, t) {
+        const wallets = () => `${rule.wallets.map(wallet => this.bot.shortenAddress(wallet)).join(', ')}${rule.label ? ` (${rule.label})` : ''}`;
+        const sides = { buyer: 'ruleWatchBuyer', seller: 'ruleWatchSeller' };
+        const conditions = {
+            price: () => [rule.minUsd && `≥ $${rule.minUsd}`, rule.minPrice && `≥ ${rule.minPrice} ${rule.currency || 'HYPE'}`].filter(Boolean).join(` ${t('or')} `),
+            watchlist: () => t(sides[rule.side] || 'ruleWatchAny', { wallets: wallets() }),
+            accumulation: () => t('ruleAccumulation', { count: rule.count, hours: rule.windowHours || 24 }),
+            tokens: () => t('ruleTokens', { tokenIds: `#${rule.tokenIds.join(', #')}` })
+        };
+        const actions = [
+            rule.roleId && t('rulePings', { role: `<@&${rule.roleId}>` }),
+            rule.channelId && `→ <#${rule.channelId}>`,
+            rule.title && `"${rule.title}"`
+        ].filter(Boolean);
+
+        const source = rule.source === 'config' ? ` ${t('ruleFromConfig')}` : '';
+        return `\`${rule.id}\`${source} **${rule.type}**: ${conditions[rule.type]()}${actions.length > 0 ? ` • ${actions.join(' • ')}` : ''}`;
+    }
+
+    formatSaleLine(sale, withName, t) {
+        const collection = this.bot.getCollection(sale.collection);
+        const usd = sale.usdValue ? ` (~${formatUsd(sale.usdValue)})` : '';
+
+        return t('saleLine', {
+            token: withName ? `**${collection.name} #${sale.tokenId}**` : `**#${sale.tokenId}**`,
+            price: `${sale.price || t('unknown')}${usd}`,
+            from: this.bot.shortenAddress(sale.from),
+            to: this.bot.shortenAddress(sale.to),
+            time: `<t:${Math.floor(sale.timestamp / 1000)}:R>`,
+            txUrl: `${CONFIG.HYPERLIQUID_EXPLORER}/tx/${sale.txHash}`
+        });
+    }
+}
+
+module.exports = { CommandHandler, COMMANDS };
@@ -0,0 +1,151 @@
+const fs = require('fs');
+const { loadCollections } = require('./collections');
+
+const unreadableFiles = []; // Reported (and startup stopped) once CONFIG is complete
+
+// An unset path gives the fallback; a path that is set but cannot be read or parsed is an error
+function loadJsonFile(filePath, fallback) {
+    if (!filePath) return fallback;
+    try {
+        return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    } catch (error) {
+        unreadableFiles.push({ filePath, error });
+        return fallback;
+    }
+}
+
+function parseAddressList(value) {
+    return (value || '').split(',').map(address => address.trim()).filter(Boolean);
+}
+
+// 🎯 WORKING CONFIGURATION
+const CONFIG = {
+    DISCORD_TOKEN: process.env.DISCORD_TOKEN,
+    CHANNEL_ID: process.env.CHANNEL_ID,
+    GUILD_ID: process.env.GUILD_ID, // Optional: register slash commands in one guild for instant updates
+    
+    // Hyperliquid blockchain
+    RPC_URL: process.env.RPC_URL || 'https://rpc.hyperliquid.xyz/evm',
+    RPC_URLS: parseAddressList(process.env.RPC_URLS), // Optional: extra endpoints to fail over to
+    WS_URL: process.env.WS_URL, // Optional: enables real-time eth_subscribe ingestion
+    WS_STALL_TIMEOUT: 30000,    // Fall back to polling when the socket is quiet this long
+    
+    // Watched collections (JSON array of { address, name, slug, color, channelId })
+    COLLECTIONS: loadCollections(loadJsonFile(process.env.COLLECTIONS_FILE, null), process.env.CHANNEL_ID, process.env.COLLECTIONS_FILE),
+    
+    // Monitoring settings
+    CHECK_INTERVAL: 15000, // Check every 15 seconds (changeable live, see Admin in the README)
+    SAFETY_POLL_INTERVAL: 60000, // Slower poll while the WebSocket feed is live
+    BLOCK_LOOKBACK: 100,   // Blocks to look back on a fresh start with no saved cursor
+    BACKFILL_CHUNK_SIZE: 500,   // Max blocks per getLogs call when catching up
+    MAX_BACKFILL_BLOCKS: 5000,  // Max blocks caught up per check, the rest continues next check
+    CONFIRMATIONS: parseInt(process.env.CONFIRMATIONS || '2', 10), // Blocks a log must be buried under before it is scanned
+    REORG_WINDOW: 500,          // How many blocks back block hashes are kept to detect reorgs
+    
+    // Token metadata
+    IPFS_GATEWAY: process.env.IPFS_GATEWAY || 'https://ipfs.io',
+    
+    // USD valuation: 'coingecko' (default) or 'static' (HYPE_USD_PRICE or PRICE_FIXTURE_FILE)
+    PRICE_ORACLE: process.env.PRICE_ORACLE || 'coingecko',
+    HYPE_USD_PRICE: process.env.HYPE_USD_PRICE,
+    PRICE_FIXTURE_FILE: process.env.PRICE_FIXTURE_FILE,
+    COINGECKO_API_KEY: process.env.COINGECKO_API_KEY,
+    
+    // Extra notification sinks (JSON array of { type, ... }, see README)
+    NOTIFIERS: loadJsonFile(process.env.NOTIFIERS_FILE, []),
+    
+    // Embed templates and languages (see README): default layout and locale, plus a file
+    // with extra layouts and per-channel choices ({ "layouts": {...}, "channels": {...} })
+    EMBED_LAYOUT: process.env.EMBED_LAYOUT || 'rich',
+    LOCALE: process.env.LOCALE || 'en',
+    LOCALES_DIR: process.env.LOCALES_DIR, // Default: the bundled locales/ folder
+    TEMPLATES: loadJsonFile(process.env.TEMPLATES_FILE, {}),
+    
+    // Sale card images attached to sale posts (theme: see SaleCardRenderer's DEFAULT_THEME)
+    SALE_CARDS: process.env.SALE_CARDS === 'true',
+    SALE_CARD_THEME: loadJsonFile(process.env.SALE_CARD_THEME_FILE, {}),
+    
+    // Sweeps: sales in one tx (or by one buyer within SWEEP_WINDOW_MS) are posted together
+    SWEEP_THRESHOLD: Number(process.env.SWEEP_THRESHOLD) || 3,
+    SWEEP_WINDOW_MS: Number(process.env.SWEEP_WINDOW_MS) || 0,
+    
+    // Delivery queue
+    DELIVERY_INTERVAL: 1000,     // Min spacing between outbound sale posts
+    DELIVERY_MAX_ATTEMPTS: 6,    // Attempts before a post is dead-lettered
+    
+    // Persistence
+    DATA_FILE: process.env.DATA_FILE || './data/store.json',
+    
+    // Marketplace registry (JSON array of { name, addresses, logo, itemUrl, collectionUrl, feeRecipients }, see README)
+    MARKETPLACES: loadJsonFile(process.env.MARKETPLACES_FILE, []),
+    
+    // Extra marketplace fill events (JSON array of { name, address, abi, fields })
+    MARKETPLACE_EVENTS: loadJsonFile(process.env.MARKETPLACE_EVENTS_FILE, []),
+    
+    // Listing/offer/delist feed (JSON array of { type, name, address, abi, fields })
+    ACTIVITY_EVENTS: loadJsonFile(process.env.ACTIVITY_EVENTS_FILE, []),
+    ACTIVITY_CHANNEL_ID: process.env.ACTIVITY_CHANNEL_ID,
+    ACTIVITY_FILTERS: {
+        types: parseAddressList(process.env.ACTIVITY_TYPES), // e.g. "listing,offer"; empty = all
+        maxListingPrice: Number(process.env.ACTIVITY_MAX_LISTING_PRICE) || null,
+        minOfferPrice: Number(process.env.ACTIVITY_MIN_OFFER_PRICE) || null
+    },
+    
+    // Mint and burn posts (off unless a channel is set)
+    HOLDER_EVENTS_CHANNEL_ID: process.env.HOLDER_EVENTS_CHANNEL_ID,
+    HOLDER_EVENTS: process.env.HOLDER_EVENTS ? parseAddressList(process.env.HOLDER_EVENTS) : ['mint', 'burn'],
+    
+    // Wallet names: a label file ({ "<address>": "Treasury" }) and an optional on-chain name service
+    WALLET_LABELS: loadJsonFile(process.env.WALLET_LABELS_FILE, {}),
+    NAME_SERVICE_ADDRESS: process.env.NAME_SERVICE_ADDRESS,
+    NAME_SERVICE_ABI: process.env.NAME_SERVICE_ABI, // Default: function primaryName(address) view returns (string)
+    
+    // Alert rules (JSON array of { type, ..., roleId, color, title, channelId }, see README)
+    ALERT_RULES: loadJsonFile(process.env.ALERT_RULES_FILE, []),
+    
+    // Market analytics: daily/weekly reports and floor move alerts
+    ANALYTICS_CHANNEL_ID: process.env.ANALYTICS_CHANNEL_ID || process.env.CHANNEL_ID,
+    FLOOR_ALERT_PERCENT: Number(process.env.FLOOR_ALERT_PERCENT || 10), // 0 turns floor alerts off
+    REPORT_HOUR_UTC: Number(process.env.REPORT_HOUR_UTC) || 0,
+    WEEKLY_REPORT_DAY: Number(process.env.WEEKLY_REPORT_DAY || 1), // 0 = Sunday, 1 = Monday, ...
+    
+    // HTTP API and health
+    PORT: process.env.PORT || 3000,
+    HEALTH_MAX_CHECK_AGE: Number(process.env.HEALTH_MAX_CHECK_AGE || 120000), // ms since the last successful check
+    HEALTH_MAX_BLOCK_LAG: Number(process.env.HEALTH_MAX_BLOCK_LAG || 200),
+    
+    // Logging: JSON lines (one object per entry) or readable text; debug adds per-log detail
+    LOG_LEVEL: process.env.LOG_LEVEL || 'info',
+    LOG_FORMAT: process.env.LOG_FORMAT || (process.stdout.isTTY ? 'pretty' : 'json'),
+    
+    // Admin control plane: a bearer token for /admin/* and the Discord users allowed /admin
+    ADMIN_TOKEN: process.env.ADMIN_TOKEN, // Unset = the HTTP admin routes are off
+    ADMIN_USER_IDS: parseAddressList(process.env.ADMIN_USER_IDS),
+    HOME_GUILD_ID: process.env.HOME_GUILD_ID || process.env.GUILD_ID, // Its Manage Server members run the operator commands
+    MAX_RESCAN_BLOCKS: 50000, // Most blocks one admin rescan may cover
+    
+    // Sale classification
+    SALE_CONFIDENCE_THRESHOLD: 40, // Changeable live, see Admin in the README
+    KNOWN_MARKETPLACES: parseAddressList(process.env.KNOWN_MARKETPLACES),
+    IGNORED_CONTRACTS: parseAddressList(process.env.IGNORED_CONTRACTS), // Staking, vaults, bridges
+    
+    // Testing
+    TEST_MODE: process.env.TEST_MODE === 'true',
+    TEST_INTERVAL: 45000, // Test sale every 45 seconds
+    REPLAY_DIR: process.env.REPLAY_DIR || 'fixtures/replay', // Recorded scenarios test sales are replayed from
+    
+    // URLs (marketplace links come from the registry in src/marketplaces.js)
+    HYPERLIQUID_EXPLORER: 'https://hyperliquid.cloud.blockscout.com'
+};
+
+module.exports = { CONFIG, loadJsonFile, parseAddressList };
+
+// The logger reads CONFIG, so it can only be required once the exports above are in place
+if (unreadableFiles.length > 0) {
+    const { logger } = require('./logger');
+
+    for (const { filePath, error } of unreadableFiles) {
+        logger.error('Could not read config file', { file: filePath, err: error });
+    }
+    throw new Error(`Could not read ${unreadableFiles.map(({ filePath }) => filePath).join(', ')}; fix or unset the *_FILE setting`);
+}
@@ -0,0 +1,260 @@
+const { logger } = require('./logger');
+
+const log = logger.child({ component: 'delivery' });
+
+// 📬 Persistent outbound delivery queue.
+// Sales are queued before they are marked as seen, then delivered one at a time in
+// block/logIndex order. A sink that fails is retried with exponential backoff
+// (or after the rate-limit delay it reported) without re-posting to the sinks that
+// already succeeded. Jobs that keep failing are dead-lettered and can be replayed.
+// A job carries one or more sales; jobs sharing a merge key (e.g. the same buyer)
+// can absorb later sales while they are still held back, which is how sweeps form.
+class DeliveryQueue {
+    constructor(store, deliver, options = {}) {
+        this.store = store;
+        this.deliver = deliver; // async (sales, skipSinks) => [{ sink, ok, error, retryAfter }]
+        this.maxAttempts = options.maxAttempts || 6;
+        this.baseDelay = options.baseDelay || 2000;
+        this.maxDelay = options.maxDelay || 5 * 60 * 1000;
+        this.sendInterval = options.sendInterval || 1000;
+        this.processing = false;
+        this.timer = null;
+
+        if (!Array.isArray(this.store.data.deliveryQueue)) {
+            this.store.data.deliveryQueue = [];
+        }
+
+        // Jobs queued before sweeps existed held a single `sale`
+        for (const job of this.store.data.deliveryQueue) {
+            if (job.sale && !job.sales) {
+                job.sales = [job.sale];
+                job.ids = [job.id];
+                delete job.sale;
+            }
+        }
+    }
+
+    get jobs() {
+        return this.store.data.deliveryQueue;
+    }
+
+    start() {
+        if (this.timer) return;
+
+        const pending = this.jobs.filter(job => job.status === 'pending').length;
+        if (pending > 0) {
+            log.info('Resuming queued deliveries', { pending });
+        }
+
+        this.timer = setInterval(() => this.process(), this.sendInterval);
+    }
+
+    stop() {
+        clearInterval(this.timer);
+        this.timer = null;
+    }
+
+    /**
+     * Queue sales for delivery as one job.
+     * `holdMs` delays the first attempt; while held, a job with the same `mergeKey`
+     * whose first sale is within `mergeWindowMs` absorbs these sales instead.
+     */
+    enqueue(sales, ids, { holdMs = 0, mergeKey = null, mergeWindowMs = 0 } = {}) {
+        const fresh = ids
+            .map((id, i) => ({ id, sale: sales[i] }))
+            .filter(entry => !this.jobs.some(job => job.ids.includes(entry.id)));
+        if (fresh.length === 0) return;
+
+        const target = mergeKey && this.jobs.find(job =>
+            job.mergeKey === mergeKey &&
+            job.status === 'pending' &&
+            job.attempts === 0 &&
+            Math.abs(fresh[0].sale.timestamp - job.sales[0].timestamp) <= mergeWindowMs
+        );
+
+        if (target) {
+            fresh.forEach(entry => {
+                target.sales.push(entry.sale);
+                target.ids.push(entry.id);
+            });
+        } else {
+            this.jobs.push({
+                id: fresh[0].id,
+                ids: fresh.map(entry => entry.id),
+                sales: fresh.map(entry => entry.sale),
+                mergeKey,
+                status: 'pending',
+                attempts: 0,
+                deliveredSinks: [],
+                nextAttemptAt: Date.now() + holdMs,
+                lastError: null
+            });
+        }
+
+        fresh.forEach(entry => this.store.updateSale(entry.id, { delivery: { status: 'pending', sinks: {} } }));
+
+        const job = target || this.jobs[this.jobs.length - 1];
+        log.info(`Queued ${this.describe(job)} for delivery`, { ...jobFields(job), pending: this.depth() });
+    }
+
+    describe(job) {
+        return job.sales.length === 1
+            ? `#${job.sales[0].tokenId}`
+            : `${job.sales.length} sales (#${job.sales.map(sale => sale.tokenId).join(', #')})`;
+    }
+
+    depth() {
+        return this.jobs.filter(job => job.status === 'pending').length;
+    }
+
+    deadLetters() {
+        return this.jobs.filter(job => job.status === 'dead');
+    }
+
+    nextDueJob() {
+        const now = Date.now();
+
+        return this.jobs
+            .filter(job => job.status === 'pending' && job.nextAttemptAt <= now)
+            .sort((a, b) =>
+                (a.sales[0].blockNumber - b.sales[0].blockNumber) ||
+                ((a.sales[0].logIndex || 0) - (b.sales[0].logIndex || 0))
+            )[0];
+    }
+
+    // One job per tick keeps posts spaced out and in order
+    async process() {
+        if (this.processing) return;
+
+        const job = this.nextDueJob();
+        if (!job) return;
+
+        this.processing = true;
+
+        try {
+            job.attempts++;
+
+            const results = await this.deliver(job.sales, job.deliveredSinks);
+            const failed = results.filter(result => !result.ok);
+
+            results
+                .filter(result => result.ok)
+                .forEach(result => {
+                    if (!job.deliveredSinks.includes(result.sink)) job.deliveredSinks.push(result.sink);
+                    if (result.ref) {
+                        job.messages = job.messages || {};
+                        job.messages[result.sink] = result.ref;
+                    }
+                });
+
+            if (failed.length === 0) {
+                this.finish(job, 'delivered');
+                log.info(`Delivered ${this.describe(job)}`, { ...jobFields(job), attempts: job.attempts });
+            } else {
+                this.retryOrBury(job, failed);
+            }
+
+        } catch (error) {
+            this.retryOrBury(job, [{ sink: 'all', ok: false, error: error.message }]);
+        } finally {
+            this.processing = false;
+        }
+    }
+
+    // Delivers every pending job now, ignoring sweep holds and backoff (used by replays)
+    async drain() {
+        let pending;
+        while ((pending = this.jobs.filter(job => job.status === 'pending')).length > 0) {
+            pending.forEach(job => { job.nextAttemptAt = 0; });
+            const before = pending.reduce((sum, job) => sum + job.attempts, 0);
+            await this.process();
+
+            // Failing jobs run out of attempts and are dead-lettered; stop if another tick holds the queue
+            if (pending.reduce((sum, job) => sum + job.attempts, 0) === before) break;
+        }
+    }
+
+    retryOrBury(job, failed) {
+        job.lastError = failed.map(result => `${result.sink}: ${result.error}`).join('; ');
+
+        if (job.attempts >= this.maxAttempts) {
+            this.finish(job, 'dead', failed);
+            log.error(`Dead-lettered ${this.describe(job)}`, { ...jobFields(job), attempts: job.attempts, error: job.lastError });
+            return;
+        }
+
+        // Honour a rate-limit delay if a sink reported one, otherwise back off exponentially
+        const retryAfter = Math.max(0, ...failed.map(result => result.retryAfter || 0));
+        const backoff = Math.min(this.maxDelay, this.baseDelay * 2 ** (job.attempts - 1));
+        job.nextAttemptAt = Date.now() + Math.max(retryAfter, backoff);
+
+        this.updateSales(job, this.deliveryStatus(job, 'retrying', failed));
+        log.warn(`Retrying ${this.describe(job)}`, { ...jobFields(job), retryInMs: job.nextAttemptAt - Date.now(), error: job.lastError });
+    }
+
+    finish(job, status, failed = []) {
+        job.status = status;
+        this.updateSales(job, this.deliveryStatus(job, status, failed));
+
+        // Delivered jobs only live on as the status on the sale record
+        if (status === 'delivered') {
+            this.store.data.deliveryQueue = this.jobs.filter(other => other !== job);
+            this.store.save();
+        }
+    }
+
+    updateSales(job, delivery) {
+        job.ids.forEach(id => this.store.updateSale(id, { delivery }));
+    }
+
+    deliveryStatus(job, status, failed) {
+        const sinks = {};
+        job.deliveredSinks.forEach(name => { sinks[name] = 'ok'; });
+        failed.forEach(result => { sinks[result.sink] = result.error; });
+
+        return {
+            status,
+            attempts: job.attempts,
+            sinks,
+            messages: job.messages || {},
+            batchSize: job.ids.length,
+            updatedAt: Date.now()
+        };
+    }
+
+    // Drop a sale that no longer happened (e.g. orphaned by a reorg) from any queued job
+    cancel(id) {
+        for (const job of this.jobs) {
+            const index = job.ids.indexOf(id);
+            if (index === -1 || job.status === 'delivered') continue;
+
+            job.ids.splice(index, 1);
+            job.sales.splice(index, 1);
+        }
+
+        this.store.data.deliveryQueue = this.jobs.filter(job => job.ids.length > 0);
+        this.store.save();
+    }
+
+    // Put dead-lettered jobs (all, or one by ID) back in the queue
+    replay(id = null) {
+        const jobs = this.deadLetters().filter(job => !id || job.ids.includes(id));
+
+        for (const job of jobs) {
+            job.status = 'pending';
+            job.attempts = 0;
+            job.nextAttemptAt = Date.now();
+            this.updateSales(job, this.deliveryStatus(job, 'pending', []));
+        }
+
+        log.info('Replaying dead-lettered deliveries', { count: jobs.length });
+        return jobs.length;
+    }
+}
+
+// Log fields that tie a job's entries to the detection logs of its transaction
+function jobFields(job) {
+    return { job: job.id, txHash: job.sales[0] && job.sales[0].txHash };
+}
+
+module.exports = { DeliveryQueue };
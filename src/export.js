@@ -0,0 +1,69 @@
+const fs = require('fs');
+const path = require('path');
+
+// 📤 Sale exports for treasury and tax reporting.
+// One row per sale, oldest first, with the price in its own currency and the USD
+// value at block time. Retracted sales are left out.
+const EXPORT_COLUMNS = [
+    ['date', sale => new Date(sale.timestamp).toISOString()],
+    ['collection', (sale, bot) => bot.getCollection(sale.collection).name],
+    ['collectionAddress', sale => sale.collection],
+    ['tokenId', sale => sale.tokenId],
+    ['seller', sale => sale.from],
+    ['buyer', sale => sale.to],
+    ['price', sale => sale.priceAmount],
+    ['currency', sale => sale.currency],
+    ['usdPrice', sale => sale.usdPrice],
+    ['usdValue', sale => sale.usdValue],
+    ['marketplace', sale => sale.marketplace],
+    ['venue', (sale, bot) => (bot.marketplaces.get(sale.venue) || {}).name],
+    ['sellerProceeds', sale => sale.breakdown && sale.breakdown.sellerProceeds],
+    ['marketplaceFee', sale => sale.breakdown && sale.breakdown.marketplaceFee],
+    ['royalty', sale => sale.breakdown && sale.breakdown.royalty],
+    ['blockNumber', sale => sale.blockNumber],
+    ['txHash', sale => sale.txHash]
+];
+
+function toRows(sales, bot) {
+    return [...sales]
+        .sort((a, b) => (a.blockNumber - b.blockNumber) || ((a.logIndex || 0) - (b.logIndex || 0)))
+        .map(sale => Object.fromEntries(EXPORT_COLUMNS.map(([name, read]) => {
+            const value = read(sale, bot);
+            return [name, value === undefined ? null : value];
+        })));
+}
+
+function csvCell(value) {
+    if (value === null) return '';
+
+    const text = String(value);
+    return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function formatSales(sales, bot, format = 'csv') {
+    const rows = toRows(sales, bot);
+
+    if (format === 'json') {
+        return JSON.stringify(rows, null, 2);
+    }
+
+    if (format !== 'csv') {
+        throw new Error(`Unknown export format "${format}" (expected csv or json)`);
+    }
+
+    const header = EXPORT_COLUMNS.map(([name]) => name).join(',');
+    return [header, ...rows.map(row => Object.values(row).map(csvCell).join(','))].join('\n') + '\n';
+}
+
+// Writes the export to `out` (default ./data/sales-<date>.<format>) and returns the path
+function writeExport(sales, bot, { format = 'csv', out = null } = {}) {
+    const content = formatSales(sales, bot, format);
+    out = out || path.join('data', `sales-${new Date().toISOString().slice(0, 10)}.${format}`);
+
+    fs.mkdirSync(path.dirname(path.resolve(out)), { recursive: true });
+    fs.writeFileSync(out, content);
+    console.log(`📤 Exported ${sales.length} sales to ${out}`);
+    return out;
+}
+
+module.exports = { formatSales, writeExport, EXPORT_COLUMNS };
@@ -0,0 +1,74 @@
+const fs = require('fs');
+const path = require('path');
+const { PriceExtractor } = require('./priceExtractor');
+const { SaleClassifier } = require('./saleClassifier');
+
+// 📼 Recorded tx/receipt fixtures, stored as plain JSON.
+// Numeric fields are kept as decimal strings on disk and turned back into
+// BigInt here so they look like what ethers hands us.
+function loadFixture(filePath) {
+    const fixture = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+
+    fixture.tx.value = BigInt(fixture.tx.value || 0);
+    fixture.receipt.gasUsed = BigInt(fixture.receipt.gasUsed || 0);
+
+    return fixture;
+}
+
+function listFixtures(dir) {
+    return fs.readdirSync(dir)
+        .filter(name => name.endsWith('.json') && name !== 'config.json')
+        .sort()
+        .map(name => path.join(dir, name));
+}
+
+// Runs every fixture in a directory through price extraction and the classifier.
+// `config.json` in the same directory supplies the marketplace/ignore lists.
+async function runClassifierFixtures(dir, collection) {
+    const configPath = path.join(dir, 'config.json');
+    const config = fs.existsSync(configPath)
+        ? JSON.parse(fs.readFileSync(configPath, 'utf8'))
+        : {};
+
+    const priceExtractor = new PriceExtractor(null, { marketplaceEvents: config.marketplaceEvents });
+    const classifier = new SaleClassifier({
+        threshold: config.threshold,
+        knownMarketplaces: config.knownMarketplaces,
+        ignoredContracts: config.ignoredContracts
+    });
+
+    let failures = 0;
+    const files = listFixtures(dir);
+
+    for (const file of files) {
+        const fixture = loadFixture(file);
+        const payment = await priceExtractor.extract({
+            tx: fixture.tx,
+            receipt: fixture.receipt,
+            transfer: fixture.transfer,
+            collection: fixture.collection || collection
+        });
+        const verdict = await classifier.classify({
+            tx: fixture.tx,
+            receipt: fixture.receipt,
+            transfer: fixture.transfer,
+            payment
+        });
+
+        const outcome = verdict.isSale ? 'sale' : 'transfer';
+        const priceOk = !fixture.expectedPrice || (payment && payment.price === fixture.expectedPrice);
+        const passed = outcome === fixture.expected && priceOk;
+
+        if (!passed) failures++;
+
+        console.log(`${passed ? '✅' : '❌'} ${path.basename(file)}: ${outcome}${payment ? ` @ ${payment.price}` : ''} (expected ${fixture.expected}${fixture.expectedPrice ? ` @ ${fixture.expectedPrice}` : ''})`);
+        if (!passed) {
+            verdict.reasons.forEach(reason => console.log(`     ${reason.rule}: ${reason.detail}`));
+        }
+    }
+
+    console.log(`📼 ${files.length - failures}/${files.length} fixtures passed`);
+    return failures === 0;
+}
+
+module.exports = { loadFixture, listFixtures, runClassifierFixtures };
@@ -0,0 +1,85 @@
+// 🏘️ Per-guild settings for servers that add the bot.
+// Each guild picks its own sales channel, an optional alerts channel, a minimum price,
+// an embed layout and language, and which of the watched collections it follows (none picked = all).
+// Sales still go to the collection's own channel; every subscribed guild gets a copy.
+const EMBED_STYLES = ['rich', 'compact']; // The built-in layouts in templates/default.json
+
+class GuildSettings {
+    constructor(store) {
+        this.store = store;
+
+        if (!this.store.data.guilds || typeof this.store.data.guilds !== 'object') {
+            this.store.data.guilds = {};
+        }
+    }
+
+    get guilds() {
+        return this.store.data.guilds;
+    }
+
+    get(guildId) {
+        return this.guilds[guildId] || null;
+    }
+
+    update(guildId, changes) {
+        const current = this.guilds[guildId] || {
+            guildId,
+            salesChannelId: null,
+            alertChannelId: null,
+            minUsd: null,
+            minPrice: null,
+            currency: 'HYPE',
+            embedStyle: 'rich',
+            locale: null, // null = the bot's LOCALE
+            collections: []
+        };
+
+        if (changes.embedStyle && !EMBED_STYLES.includes(changes.embedStyle)) {
+            throw new Error(`Unknown embed style "${changes.embedStyle}" (expected ${EMBED_STYLES.join(', ')})`);
+        }
+
+        this.guilds[guildId] = { ...current, ...changes, updatedAt: Date.now() };
+        this.store.save();
+        return this.guilds[guildId];
+    }
+
+    remove(guildId) {
+        const existed = Boolean(this.guilds[guildId]);
+        delete this.guilds[guildId];
+        this.store.save();
+        return existed;
+    }
+
+    /**
+     * Guilds that should get a copy of this sale (or sweep): they have a sales channel,
+     * follow the collection and the sale clears their minimum. A sale quoted in a
+     * different currency than the guild's `minPrice` is only held to `minUsd`.
+     */
+    subscribers(sale) {
+        return Object.values(this.guilds).filter(guild =>
+            guild.salesChannelId &&
+            follows(guild, sale.collection) &&
+            meetsMinimum(guild, sale)
+        );
+    }
+}
+
+function follows(guild, collection) {
+    return !guild.collections || guild.collections.length === 0 ||
+        guild.collections.includes(collection.toLowerCase());
+}
+
+function meetsMinimum(guild, sale) {
+    if (guild.minUsd && !(typeof sale.usdValue === 'number' && sale.usdValue >= guild.minUsd)) {
+        return false;
+    }
+
+    const amount = sale.isSweep ? sale.totalAmount : sale.priceAmount;
+    if (guild.minPrice && sale.currency === (guild.currency || 'HYPE')) {
+        return typeof amount === 'number' && amount >= guild.minPrice;
+    }
+
+    return true;
+}
+
+module.exports = { GuildSettings, EMBED_STYLES };
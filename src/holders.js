@@ -0,0 +1,189 @@
+const { ZERO_ADDRESS } = require('./priceExtractor');
+
+const DAY = 24 * 60 * 60 * 1000;
+const BURN_ADDRESSES = new Set([ZERO_ADDRESS, '0x000000000000000000000000000000000000dead']);
+
+// 👥 Token → owner ledger for each collection, built from every Transfer.
+// Seeded once from a historical scan (`node bot.js holders --from <deploy block>`), then
+// kept current by the live poller. Transfers at or before the last applied log are
+// ignored, so rescans and backfills never double-count. Recent moves keep the previous
+// owner so a chain reorg can be rolled back, and a holder snapshot is taken each UTC day.
+class HolderLedger {
+    constructor(store, options = {}) {
+        this.store = store;
+        this.reorgWindow = options.reorgWindow || 500;
+        this.maxSnapshots = options.maxSnapshots || 366;
+
+        if (!this.store.data.holders || typeof this.store.data.holders !== 'object') {
+            this.store.data.holders = {};
+        }
+        if (!Array.isArray(this.store.data.holderSnapshots)) {
+            this.store.data.holderSnapshots = [];
+        }
+    }
+
+    ledger(collection) {
+        const key = collection.key || collection.address.toLowerCase();
+
+        if (!this.store.data.holders[key]) {
+            this.store.data.holders[key] = {
+                owners: {},
+                minted: 0,
+                burned: 0,
+                lastApplied: null, // { blockNumber, logIndex }
+                seededThrough: null,
+                recent: []
+            };
+        }
+
+        return this.store.data.holders[key];
+    }
+
+    reset(collection) {
+        delete this.store.data.holders[collection.key];
+        return this.ledger(collection);
+    }
+
+    /**
+     * Applies one Transfer and returns 'mint', 'burn' or 'transfer', or null when the
+     * ledger already has it. The caller saves the store (once per batch).
+     */
+    apply(collection, transfer) {
+        const ledger = this.ledger(collection);
+        const position = { blockNumber: transfer.blockNumber, logIndex: transfer.logIndex || 0 };
+
+        if (ledger.lastApplied && comparePositions(position, ledger.lastApplied) <= 0) {
+            return null;
+        }
+
+        const type = movementType(transfer.from, transfer.to);
+
+        ledger.recent.push({ ...position, tokenId: transfer.tokenId, previousOwner: ledger.owners[transfer.tokenId] || null, type });
+        while (ledger.recent.length > 0 && ledger.recent[0].blockNumber < transfer.blockNumber - this.reorgWindow) {
+            ledger.recent.shift();
+        }
+
+        if (type === 'burn') {
+            delete ledger.owners[transfer.tokenId];
+            ledger.burned++;
+        } else {
+            ledger.owners[transfer.tokenId] = transfer.to.toLowerCase();
+            if (type === 'mint') ledger.minted++;
+        }
+
+        ledger.lastApplied = position;
+        return type;
+    }
+
+    // Undoes every move at or after `forkBlock` that is still in the reorg window
+    rewind(forkBlock) {
+        for (const ledger of Object.values(this.store.data.holders)) {
+            while (ledger.recent.length > 0 && ledger.recent[ledger.recent.length - 1].blockNumber >= forkBlock) {
+                const move = ledger.recent.pop();
+
+                if (move.previousOwner) {
+                    ledger.owners[move.tokenId] = move.previousOwner;
+                } else {
+                    delete ledger.owners[move.tokenId];
+                }
+                if (move.type === 'mint') ledger.minted--;
+                if (move.type === 'burn') ledger.burned--;
+            }
+
+            // Everything before the fork still stands; the rescan re-applies the rest
+            if (ledger.lastApplied && ledger.lastApplied.blockNumber >= forkBlock) {
+                ledger.lastApplied = { blockNumber: forkBlock - 1, logIndex: Number.MAX_SAFE_INTEGER };
+            }
+        }
+
+        this.store.save();
+    }
+
+    ownerOf(collection, tokenId) {
+        return this.ledger(collection).owners[tokenId] || null;
+    }
+
+    tokensOf(collection, address) {
+        const wallet = address.toLowerCase();
+        return Object.entries(this.ledger(collection).owners)
+            .filter(([, owner]) => owner === wallet)
+            .map(([tokenId]) => tokenId)
+            .sort((a, b) => Number(a) - Number(b));
+    }
+
+    // { holders, supply, minted, burned, seeded, top: [{ address, count, share }] }
+    summary(collection, topCount = 10) {
+        const ledger = this.ledger(collection);
+        const counts = new Map();
+
+        for (const owner of Object.values(ledger.owners)) {
+            counts.set(owner, (counts.get(owner) || 0) + 1);
+        }
+
+        const supply = Object.keys(ledger.owners).length;
+        const top = [...counts.entries()]
+            .sort((a, b) => b[1] - a[1])
+            .slice(0, topCount)
+            .map(([address, count]) => ({ address, count, share: supply > 0 ? count / supply : 0 }));
+
+        return {
+            holders: counts.size,
+            supply,
+            minted: ledger.minted,
+            burned: ledger.burned,
+            seeded: ledger.seededThrough !== null,
+            top
+        };
+    }
+
+    // One snapshot per collection per UTC day, taken by the first call after midnight
+    snapshotIfDue(collections, now = Date.now()) {
+        const day = Math.floor(now / DAY) * DAY;
+        const taken = [];
+
+        for (const collection of collections) {
+            const last = this.snapshots(collection)[0];
+            if (last && last.day >= day) continue;
+
+            const { holders, supply, minted, burned, top } = this.summary(collection);
+            const snapshot = { collection: collection.key, day, takenAt: now, holders, supply, minted, burned, top };
+            this.store.data.holderSnapshots.push(snapshot);
+            taken.push(snapshot);
+        }
+
+        if (taken.length === 0) return taken;
+
+        // Keep about a year per collection
+        const limit = this.maxSnapshots * Math.max(1, collections.length);
+        if (this.store.data.holderSnapshots.length > limit) {
+            this.store.data.holderSnapshots.splice(0, this.store.data.holderSnapshots.length - limit);
+        }
+        this.store.save();
+
+        return taken;
+    }
+
+    // Newest first
+    snapshots(collection) {
+        return this.store.data.holderSnapshots
+            .filter(snapshot => snapshot.collection === collection.key)
+            .sort((a, b) => b.day - a.day);
+    }
+
+    // The snapshot closest to `daysAgo` days before now, or null
+    snapshotBefore(collection, daysAgo, now = Date.now()) {
+        const target = now - daysAgo * DAY;
+        return this.snapshots(collection).find(snapshot => snapshot.takenAt <= target) || null;
+    }
+}
+
+function movementType(from, to) {
+    if (from.toLowerCase() === ZERO_ADDRESS) return 'mint';
+    return BURN_ADDRESSES.has(to.toLowerCase()) ? 'burn' : 'transfer';
+}
+
+function comparePositions(a, b) {
+    return (a.blockNumber - b.blockNumber) || (a.logIndex - b.logIndex);
+}
+
+module.exports = { HolderLedger, movementType, BURN_ADDRESSES };
@@ -0,0 +1,169 @@
+const { ethers } = require('ethers');
+const { shortenAddress, renderTemplate } = require('./notifiers/template');
+const { logger } = require('./logger');
+
+const log = logger.child({ component: 'identity' });
+
+const BALANCE_OF_ABI = ['function balanceOf(address owner) view returns (uint256)'];
+const DEFAULT_NAME_ABI = 'function primaryName(address owner) view returns (string)';
+
+// 🪪 Turns buyer/seller addresses into names people recognise.
+// Sources, most trusted first: the local label file (team, treasury, known wallets),
+// wallets members linked to their Discord account by signing a message, then an
+// on-chain name service when one is configured. Name-service lookups are cached.
+class IdentityResolver {
+    constructor(provider, store, options = {}) {
+        this.provider = provider;
+        this.store = store;
+        this.labels = new Map(Object.entries(options.labels || {}).map(([address, label]) => [address.toLowerCase(), label]));
+        this.cacheTtl = options.cacheTtl || 60 * 60 * 1000;
+        this.maxCacheSize = options.maxCacheSize || 5000;
+        this.cache = new Map();
+        this.nameService = null;
+
+        // Any `function (address) view returns (string)` reverse lookup works as a name service
+        if (options.nameServiceAddress) {
+            const iface = new ethers.Interface([options.nameServiceAbi || DEFAULT_NAME_ABI]);
+            const fragment = iface.fragments.find(f => f.type === 'function');
+            this.nameService = new ethers.Contract(options.nameServiceAddress, iface, provider).getFunction(fragment.name);
+        }
+
+        if (!this.store.data.walletLinks || typeof this.store.data.walletLinks !== 'object') {
+            this.store.data.walletLinks = {};
+        }
+    }
+
+    get links() {
+        return this.store.data.walletLinks;
+    }
+
+    // { name, source } or null when no source knows the address
+    async resolve(address) {
+        if (!address) return null;
+        const key = address.toLowerCase();
+
+        if (this.labels.has(key)) {
+            return { name: this.labels.get(key), source: 'label' };
+        }
+
+        if (this.links[key]) {
+            return { name: this.links[key].username, userId: this.links[key].userId, source: 'discord' };
+        }
+
+        if (!this.nameService) return null;
+
+        const cached = this.cache.get(key);
+        if (cached && Date.now() - cached.fetchedAt < this.cacheTtl) {
+            return cached.identity;
+        }
+
+        let identity = null;
+        try {
+            const name = await this.nameService.staticCall(address);
+            identity = name ? { name, source: 'name-service' } : null;
+        } catch (error) {
+            log.warn('Name lookup failed', { address, err: error });
+        }
+
+        if (this.cache.size >= this.maxCacheSize) {
+            this.cache.delete(this.cache.keys().next().value);
+        }
+        this.cache.set(key, { identity, fetchedAt: Date.now() });
+
+        return identity;
+    }
+
+    // How many tokens of the collection the address held right after the sale's block
+    async holdings(collection, address, blockNumber) {
+        const contract = new ethers.Contract(collection.address, BALANCE_OF_ABI, this.provider);
+
+        try {
+            return Number(await contract.balanceOf(address, { blockTag: blockNumber }));
+        } catch (error) {
+            // RPCs without archive state reject old block tags - the latest balance is close enough
+            try {
+                return Number(await contract.balanceOf(address));
+            } catch (fallbackError) {
+                log.warn('Could not read holder balance', { collection: collection.name, address, err: fallbackError });
+                return null;
+            }
+        }
+    }
+
+    /**
+     * Buyer and seller of a sale (or sweep) with names and post-trade holdings.
+     * A buyer whose balance equals what they just bought is a new holder.
+     */
+    async describeParties(sale, collection) {
+        const bought = sale.isSweep ? sale.count : 1;
+
+        const [buyerIdentity, buyerHoldings] = await Promise.all([
+            this.resolve(sale.to),
+            this.holdings(collection, sale.to, sale.blockNumber)
+        ]);
+
+        const buyer = {
+            address: sale.to,
+            ...buyerIdentity,
+            holdings: buyerHoldings,
+            newHolder: buyerHoldings !== null && buyerHoldings <= bought
+        };
+
+        // A sweep from several sellers has no single seller to describe
+        if (!sale.from) return { buyer, seller: null };
+
+        const [sellerIdentity, sellerHoldings] = await Promise.all([
+            this.resolve(sale.from),
+            this.holdings(collection, sale.from, sale.blockNumber)
+        ]);
+
+        return {
+            buyer,
+            seller: { address: sale.from, ...sellerIdentity, holdings: sellerHoldings }
+        };
+    }
+
+    link(address, user) {
+        this.links[address.toLowerCase()] = { userId: user.id, username: user.username, linkedAt: Date.now() };
+        this.store.save();
+    }
+
+    unlink(userId) {
+        const addresses = Object.keys(this.links).filter(address => this.links[address].userId === userId);
+        addresses.forEach(address => delete this.links[address]);
+        this.store.save();
+        return addresses;
+    }
+
+    linkedWallets(userId) {
+        return Object.keys(this.links).filter(address => this.links[address].userId === userId);
+    }
+}
+
+// "**name**\n`0x12...abcd`\nnow holds 12" - the From/To field text for embeds
+// `labels` are locale strings (newHolder, soldOut, holds); English when left out
+function formatParty(party, collection, role, labels = {}) {
+    if (!party) return null;
+
+    const lines = [];
+    if (party.source === 'discord' && party.userId) {
+        lines.push(`<@${party.userId}>`);
+    } else if (party.name) {
+        lines.push(`**${party.name}**`);
+    }
+    lines.push(`\`${shortenAddress(party.address)}\``);
+
+    if (party.holdings !== null && party.holdings !== undefined) {
+        if (role === 'buyer' && party.newHolder) {
+            lines.push(labels.newHolder || '🆕 new holder');
+        } else if (role === 'seller' && party.holdings === 0) {
+            lines.push(renderTemplate(labels.soldOut || 'no {collection} left', { collection: collection.name }));
+        } else {
+            lines.push(renderTemplate(labels.holds || 'now holds {holdings}', { holdings: party.holdings }));
+        }
+    }
+
+    return lines.join('\n');
+}
+
+module.exports = { IdentityResolver, formatParty };
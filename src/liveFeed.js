@@ -0,0 +1,135 @@
+const { EventEmitter } = require('events');
+const { ethers } = require('ethers');
+const { logger } = require('./logger');
+
+const log = logger.child({ component: 'liveFeed' });
+
+// ⚡ WebSocket log subscription (eth_subscribe) used as a low-latency trigger.
+// The feed only signals that matching logs arrived; ingestion still goes through
+// the cursor-based check so nothing is processed twice or out of order.
+// A watchdog treats a quiet socket (no blocks for `stallTimeout`) as dead,
+// emits 'stalled' and reconnects with backoff.
+//
+// Events: 'connected', 'log' (log), 'stalled' (reason)
+class LiveFeed extends EventEmitter {
+    constructor(options) {
+        super();
+        this.url = options.url;
+        this.filter = { address: options.addresses, topics: options.topics };
+        this.stallTimeout = options.stallTimeout || 30000;
+        this.reconnectDelay = options.reconnectDelay || 5000;
+        this.maxReconnectDelay = options.maxReconnectDelay || 5 * 60 * 1000;
+        this.provider = null;
+        this.watchdog = null;
+        this.reconnectTimer = null;
+        this.failures = 0;
+        this.lastEventAt = 0;
+        this.connected = false;
+        this.stopped = false;
+    }
+
+    start() {
+        this.stopped = false;
+        this.connect();
+    }
+
+    stop() {
+        this.stopped = true;
+        clearTimeout(this.reconnectTimer);
+        this.teardown();
+    }
+
+    async connect() {
+        if (this.stopped) return;
+
+        let provider;
+
+        try {
+            log.info('Connecting WebSocket feed', { url: this.url });
+            provider = new ethers.WebSocketProvider(this.url);
+            this.provider = provider;
+
+            // ethers leaves socket errors unhandled, which would crash the process
+            const socket = provider.websocket;
+            socket.onerror = (event) => this.failIfCurrent(provider, `socket error: ${event.message || 'unknown'}`);
+            socket.onclose = () => this.failIfCurrent(provider, 'socket closed');
+
+            const blockNumber = await withTimeout(provider.getBlockNumber(), this.stallTimeout);
+
+            provider.on('block', () => this.touch());
+            provider.on(this.filter, log => {
+                this.touch();
+                this.emit('log', log);
+            });
+
+            this.touch();
+            this.connected = true;
+            this.failures = 0;
+            this.watchdog = setInterval(() => this.checkStall(), Math.max(1000, this.stallTimeout / 2));
+
+            log.info('WebSocket feed live', { blockNumber });
+            this.emit('connected');
+
+        } catch (error) {
+            this.failIfCurrent(provider, `connect failed: ${error.message}`);
+        }
+    }
+
+    // Late errors from a provider we already replaced are ignored
+    failIfCurrent(provider, reason) {
+        if (!provider || this.provider === provider) {
+            this.fail(reason);
+        }
+    }
+
+    touch() {
+        this.lastEventAt = Date.now();
+    }
+
+    checkStall() {
+        const quietFor = Date.now() - this.lastEventAt;
+        if (quietFor > this.stallTimeout) {
+            this.fail(`no events for ${Math.round(quietFor / 1000)}s`);
+        }
+    }
+
+    fail(reason) {
+        const wasConnected = this.connected;
+        this.teardown();
+
+        if (this.stopped) return;
+
+        this.failures++;
+        const delay = Math.min(this.maxReconnectDelay, this.reconnectDelay * 2 ** (this.failures - 1));
+
+        log.warn(`WebSocket feed ${wasConnected ? 'stalled' : 'unavailable'}`, { reason, retryInMs: delay });
+        this.emit('stalled', reason);
+
+        this.reconnectTimer = setTimeout(() => this.connect(), delay);
+    }
+
+    teardown() {
+        this.connected = false;
+        clearInterval(this.watchdog);
+        this.watchdog = null;
+
+        if (this.provider) {
+            const provider = this.provider;
+            this.provider = null;
+
+            provider.removeAllListeners().catch(() => {});
+            Promise.resolve().then(() => provider.destroy()).catch(() => {});
+        }
+    }
+}
+
+function withTimeout(promise, ms) {
+    let timer;
+    const timeout = new Promise((resolve, reject) => {
+        timer = setTimeout(() => reject(new Error(`timed out after ${ms}ms`)), ms);
+    });
+
+    return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+}
+
+module.exports = { LiveFeed };
@@ -0,0 +1,97 @@
+const { CONFIG } = require('./config');
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+
+// 🪵 Structured logs: one JSON object per line with `time`, `level`, `msg` and fields.
+// Loggers made with `child({ txHash })` stamp that field on every entry, so everything the
+// bot did for one transaction can be pulled out with a single filter. LOG_FORMAT=pretty
+// prints the same entries as text for a terminal. The level can be changed while running.
+class Logger {
+    constructor(options = {}, shared = null) {
+        // Children share the level, so changing it on the root logger changes it everywhere
+        this.shared = shared || {
+            level: LEVELS[options.level] ? options.level : 'info',
+            format: options.format === 'pretty' ? 'pretty' : 'json',
+            write: options.write || writeLine
+        };
+        this.fields = options.fields || {};
+    }
+
+    get level() {
+        return this.shared.level;
+    }
+
+    setLevel(level) {
+        if (!LEVELS[level]) {
+            throw new Error(`Unknown log level "${level}" (expected ${Object.keys(LEVELS).join(', ')})`);
+        }
+        this.shared.level = level;
+    }
+
+    child(fields) {
+        return new Logger({ fields: { ...this.fields, ...fields } }, this.shared);
+    }
+
+    enabled(level) {
+        return LEVELS[level] >= LEVELS[this.shared.level];
+    }
+
+    debug(msg, fields) {
+        this.log('debug', msg, fields);
+    }
+
+    info(msg, fields) {
+        this.log('info', msg, fields);
+    }
+
+    warn(msg, fields) {
+        this.log('warn', msg, fields);
+    }
+
+    error(msg, fields) {
+        this.log('error', msg, fields);
+    }
+
+    log(level, msg, fields = {}) {
+        if (!this.enabled(level)) return;
+
+        const entry = { time: new Date().toISOString(), level, msg, ...this.fields };
+        for (const [key, value] of Object.entries(fields)) {
+            if (value !== undefined) entry[key] = value instanceof Error ? serializeError(value) : value;
+        }
+
+        this.shared.write(this.shared.format === 'pretty' ? formatPretty(entry) : JSON.stringify(entry, jsonValue), level);
+    }
+}
+
+function writeLine(line, level) {
+    (LEVELS[level] >= LEVELS.warn ? process.stderr : process.stdout).write(`${line}\n`);
+}
+
+function serializeError(error) {
+    const serialized = { message: error.message, name: error.name, stack: error.stack };
+    if (error.code !== undefined) serialized.code = error.code;
+    if (error.status !== undefined) serialized.status = error.status;
+    return serialized;
+}
+
+// BigInts (block numbers, raw amounts) are written as strings
+function jsonValue(key, value) {
+    return typeof value === 'bigint' ? value.toString() : value;
+}
+
+// "12:00:01.234 INFO  Sale detected collection=Tenshis tokenId=77 txHash=0x07..."
+function formatPretty(entry) {
+    const { time, level, msg, ...fields } = entry;
+    const pairs = Object.entries(fields)
+        .filter(([key]) => key !== 'err')
+        .map(([key, value]) => `${key}=${typeof value === 'object' && value !== null ? JSON.stringify(value, jsonValue) : value}`);
+    const line = [time.slice(11, 23), level.toUpperCase().padEnd(5), msg, ...pairs].join(' ');
+
+    if (!fields.err) return line;
+    return level === 'error' && fields.err.stack ? `${line}\n${fields.err.stack}` : `${line} err=${fields.err.message}`;
+}
+
+const logger = new Logger({ level: CONFIG.LOG_LEVEL, format: CONFIG.LOG_FORMAT });
+
+module.exports = { Logger, LEVELS, logger };
@@ -0,0 +1,156 @@
+const { renderTemplate } = require('./notifiers/template');
+const { addressList } = require('./collections');
+
+// Always known, and where sales on contracts the registry has no entry for are linked
+const BUILT_IN_MARKETPLACES = [{
+    name: 'Drip.Trade', // key: drip-trade
+    logo: 'https://drip.trade/favicon.ico',
+    itemUrl: 'https://drip.trade/collections/{slug}/{tokenId}',
+    collectionUrl: 'https://drip.trade/collections/{slug}',
+    default: true
+}];
+
+function normalizeVenue(entry) {
+    if (!entry.name) {
+        throw new Error(`Marketplace entry needs a name: ${JSON.stringify(entry)}`);
+    }
+
+    const lower = list => (list || []).map(value => String(value).toLowerCase());
+
+    return {
+        key: entry.key || entry.name.toLowerCase().replace(/[^a-z0-9]+/g, '-'),
+        name: entry.name,
+        logo: entry.logo || null,
+        itemUrl: entry.itemUrl || null,
+        collectionUrl: entry.collectionUrl || null,
+        // Contracts called (tx.to) or emitting fills, fill event names from MARKETPLACE_EVENTS
+        // and the wallets its fee is paid to
+        addresses: addressList(entry.addresses, 'addresses', entry.name),
+        events: lower(entry.events),
+        feeRecipients: addressList(entry.feeRecipients, 'feeRecipients', entry.name),
+        default: Boolean(entry.default)
+    };
+}
+
+// 🏪 Marketplace registry: which venue a sale happened on, where to link it and which of its
+// payments were the venue's fee. Venues come from MARKETPLACES_FILE (an entry with the same
+// key as a built-in one extends it); the default venue links sales no entry claims.
+class MarketplaceRegistry {
+    constructor(entries = []) {
+        const venues = new Map();
+
+        for (const entry of [...BUILT_IN_MARKETPLACES, ...entries]) {
+            const venue = normalizeVenue(entry);
+            const existing = venues.get(venue.key);
+
+            venues.set(venue.key, existing ? mergeVenues(existing, venue, entry) : venue);
+        }
+
+        this.venues = [...venues.values()];
+        this.fallback = [...this.venues].reverse().find(venue => venue.default) || this.venues[0];
+    }
+
+    get(key) {
+        return this.venues.find(venue => venue.key === key) || null;
+    }
+
+    // Every contract address in the registry, for the classifier's known-marketplace rule
+    addresses() {
+        return [...new Set(this.venues.flatMap(venue => venue.addresses))];
+    }
+
+    // The venue behind a classified sale: by contract address, then by the name of the fill
+    // event it emitted (a MARKETPLACE_EVENTS entry named like the venue, or one of its `events`)
+    identify(sale) {
+        const address = (sale.marketplace || '').toLowerCase();
+        const eventName = (sale.marketplaceName || '').toLowerCase();
+
+        return (address && this.venues.find(venue => venue.addresses.includes(address))) ||
+            (eventName && this.venues.find(venue => venue.name.toLowerCase() === eventName || venue.events.includes(eventName))) ||
+            null;
+    }
+
+    /**
+     * Splits the per-item payments the price extractor found into seller proceeds,
+     * marketplace fee and creator royalty. Payments to the collection's royaltyRecipients
+     * are royalty and payments to the venue's fee wallets (or contracts) are its fee. Anything
+     * else is `other`: without configured royalty wallets a payment is never guessed to be
+     * royalty. Null without payments.
+     */
+    breakdown(sale, venue, collection) {
+        if (!Array.isArray(sale.payments) || sale.payments.length === 0) return null;
+
+        const seller = (sale.from || '').toLowerCase();
+        const royaltyWallets = new Set(collection.royaltyRecipients || []);
+        const feeWallets = new Set(venue ? [...venue.feeRecipients, ...venue.addresses] : []);
+        const split = { sellerProceeds: 0, marketplaceFee: 0, royalty: 0, other: 0 };
+
+        for (const { to, amount } of sale.payments) {
+            if (to === seller) split.sellerProceeds += amount;
+            else if (royaltyWallets.has(to)) split.royalty += amount;
+            else if (feeWallets.has(to)) split.marketplaceFee += amount;
+            else split.other += amount;
+        }
+
+        const gross = Object.values(split).reduce((sum, amount) => sum + amount, 0);
+        const percent = amount => (gross > 0 ? round(amount / gross * 100, 2) : 0);
+
+        return {
+            currency: sale.currency,
+            sellerProceeds: round(split.sellerProceeds),
+            marketplaceFee: round(split.marketplaceFee),
+            royalty: round(split.royalty),
+            other: round(split.other),
+            marketplaceFeePercent: percent(split.marketplaceFee),
+            royaltyPercent: percent(split.royalty)
+        };
+    }
+
+    // { venue, breakdown } to store with a detected sale
+    attribute(sale, collection) {
+        const venue = this.identify(sale);
+
+        return {
+            venue: venue ? venue.key : null,
+            breakdown: this.breakdown(sale, venue, collection)
+        };
+    }
+
+    // Where to send readers for a sale or sweep: its own venue when that has the page, else the default
+    links(sale, collection) {
+        const own = this.get(sale.venue);
+        const values = { slug: collection.slug, address: collection.address, tokenId: sale.tokenId };
+        const pick = template => [own, this.fallback].find(venue => venue && venue[template]);
+
+        const site = pick(sale.isSweep ? 'collectionUrl' : 'itemUrl') || this.fallback;
+        const template = site[sale.isSweep ? 'collectionUrl' : 'itemUrl'];
+
+        return {
+            venue: own,
+            site,
+            url: template ? renderTemplate(template, values, '') : null
+        };
+    }
+}
+
+// A file entry for a built-in venue adds addresses and wallets rather than replacing them
+function mergeVenues(base, override, entry) {
+    const merged = { ...base };
+
+    for (const field of ['name', 'logo', 'itemUrl', 'collectionUrl']) {
+        if (entry[field]) merged[field] = override[field];
+    }
+    for (const field of ['addresses', 'events', 'feeRecipients']) {
+        merged[field] = [...new Set([...base[field], ...override[field]])];
+    }
+    if (entry.default !== undefined) merged.default = override.default;
+
+    return merged;
+}
+
+function round(value, decimals = 8) {
+    const factor = 10 ** decimals;
+    return Math.round(value * factor) / factor;
+}
+
+module.exports = { MarketplaceRegistry, BUILT_IN_MARKETPLACES };
@@ -0,0 +1,129 @@
+const fs = require('fs');
+const axios = require('axios');
+const { ethers } = require('ethers');
+const { logger } = require('./logger');
+
+const log = logger.child({ component: 'metadata' });
+
+const TOKEN_URI_ABI = ['function tokenURI(uint256 tokenId) view returns (string)'];
+
+// 🖼️ Resolves token metadata (name, image, traits) via tokenURI and caches it.
+// Metadata is effectively immutable once revealed, so cached entries only expire
+// to pick up late reveals.
+class MetadataResolver {
+    constructor(provider, options = {}) {
+        this.provider = provider;
+        this.ipfsGateway = (options.ipfsGateway || 'https://ipfs.io').replace(/\/$/, '');
+        this.cacheTtl = options.cacheTtl || 6 * 60 * 60 * 1000;
+        this.maxCacheSize = options.maxCacheSize || 2000;
+        this.timeout = options.timeout || 8000;
+        this.cache = new Map();
+        this.rarityTables = new Map();
+    }
+
+    async resolve(collection, tokenId) {
+        const cacheKey = `${collection.key}-${tokenId}`;
+        const cached = this.cache.get(cacheKey);
+
+        if (cached && Date.now() - cached.fetchedAt < this.cacheTtl) {
+            return cached.metadata;
+        }
+
+        try {
+            const contract = new ethers.Contract(collection.address, TOKEN_URI_ABI, this.provider);
+            const tokenUri = await contract.tokenURI(tokenId);
+            const raw = await this.fetchJson(tokenUri);
+
+            const metadata = {
+                name: raw.name || `${collection.name} #${tokenId}`,
+                image: this.resolveUri(raw.image || raw.image_url || ''),
+                attributes: Array.isArray(raw.attributes) ? raw.attributes : [],
+                rarity: this.getRarity(collection, tokenId)
+            };
+
+            this.remember(cacheKey, metadata);
+            return metadata;
+
+        } catch (error) {
+            log.warn('Could not resolve metadata', { collection: collection.name, tokenId, err: error });
+            return null;
+        }
+    }
+
+    async fetchJson(uri) {
+        // On-chain metadata: data:application/json;base64,... or plain data:application/json,...
+        if (uri.startsWith('data:')) {
+            const [header, payload] = uri.split(',', 2);
+            const json = header.endsWith(';base64')
+                ? Buffer.from(payload, 'base64').toString('utf8')
+                : decodeURIComponent(payload);
+            return JSON.parse(json);
+        }
+
+        const response = await axios.get(this.resolveUri(uri), { timeout: this.timeout });
+        return typeof response.data === 'string' ? JSON.parse(response.data) : response.data;
+    }
+
+    resolveUri(uri) {
+        if (!uri) return null;
+
+        if (uri.startsWith('ipfs://')) {
+            const path = uri.slice('ipfs://'.length).replace(/^ipfs\//, '');
+            return `${this.ipfsGateway}/ipfs/${path}`;
+        }
+
+        if (uri.startsWith('ar://')) {
+            return `https://arweave.net/${uri.slice('ar://'.length)}`;
+        }
+
+        return uri;
+    }
+
+    remember(cacheKey, metadata) {
+        if (this.cache.size >= this.maxCacheSize) {
+            // Maps iterate in insertion order, so the first key is the oldest
+            this.cache.delete(this.cache.keys().next().value);
+        }
+
+        this.cache.set(cacheKey, { metadata, fetchedAt: Date.now() });
+    }
+
+    // Rarity tables are JSON objects of { "<tokenId>": <rank> }, configured per collection
+    getRarity(collection, tokenId) {
+        if (!collection.rarityFile) return null;
+
+        if (!this.rarityTables.has(collection.key)) {
+            try {
+                const ranks = JSON.parse(fs.readFileSync(collection.rarityFile, 'utf8'));
+                this.rarityTables.set(collection.key, { ranks, total: Object.keys(ranks).length });
+            } catch (error) {
+                log.error('Could not load rarity table', { collection: collection.name, file: collection.rarityFile, err: error });
+                this.rarityTables.set(collection.key, null);
+            }
+        }
+
+        const table = this.rarityTables.get(collection.key);
+        if (!table || table.ranks[tokenId] === undefined) return null;
+
+        return { rank: table.ranks[tokenId], total: table.total };
+    }
+
+    // The configured key traits in order, or the first few the metadata lists
+    pickTraits(metadata, keyTraits, limit = 4) {
+        if (!metadata || metadata.attributes.length === 0) return [];
+
+        const traits = metadata.attributes
+            .filter(attribute => attribute && attribute.trait_type !== undefined)
+            .map(attribute => ({ type: String(attribute.trait_type), value: String(attribute.value) }));
+
+        if (keyTraits && keyTraits.length > 0) {
+            return keyTraits
+                .map(type => traits.find(trait => trait.type.toLowerCase() === type.toLowerCase()))
+                .filter(Boolean);
+        }
+
+        return traits.slice(0, limit);
+    }
+}
+
+module.exports = { MetadataResolver };
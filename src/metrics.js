@@ -0,0 +1,110 @@
+// 📏 Minimal Prometheus metrics in the text exposition format.
+// Counters and histograms are updated as things happen; gauges (and counters kept
+// elsewhere) are read through a collect function at scrape time so they never go stale.
+class Metrics {
+    constructor(prefix = 'tenshis_') {
+        this.prefix = prefix;
+        this.metrics = new Map();
+    }
+
+    register(type, name, help, extra = {}) {
+        this.metrics.set(name, { type, name: this.prefix + name, help, values: new Map(), ...extra });
+        return this;
+    }
+
+    counter(name, help, collect = null) {
+        return this.register('counter', name, help, { collect });
+    }
+
+    // `collect` returns a number, or an array of { labels, value }
+    gauge(name, help, collect) {
+        return this.register('gauge', name, help, { collect });
+    }
+
+    histogram(name, help, buckets) {
+        return this.register('histogram', name, help, { buckets: [...buckets].sort((a, b) => a - b) });
+    }
+
+    inc(name, labels = {}, value = 1) {
+        const metric = this.metrics.get(name);
+        const key = labelKey(labels);
+        const current = metric.values.get(key);
+
+        metric.values.set(key, { labels, value: (current ? current.value : 0) + value });
+    }
+
+    observe(name, value, labels = {}) {
+        const metric = this.metrics.get(name);
+        const key = labelKey(labels);
+        const current = metric.values.get(key) || {
+            labels,
+            counts: metric.buckets.map(() => 0),
+            sum: 0,
+            count: 0
+        };
+
+        metric.buckets.forEach((bound, i) => {
+            if (value <= bound) current.counts[i]++;
+        });
+        current.sum += value;
+        current.count++;
+
+        metric.values.set(key, current);
+    }
+
+    render() {
+        const lines = [];
+
+        for (const metric of this.metrics.values()) {
+            lines.push(`# HELP ${metric.name} ${metric.help}`);
+            lines.push(`# TYPE ${metric.name} ${metric.type}`);
+
+            if (metric.collect) {
+                let collected;
+                try {
+                    collected = metric.collect();
+                } catch (error) {
+                    continue;
+                }
+
+                const samples = Array.isArray(collected) ? collected : [{ labels: {}, value: collected }];
+                samples
+                    .filter(sample => typeof sample.value === 'number' && Number.isFinite(sample.value))
+                    .forEach(sample => lines.push(`${metric.name}${formatLabels(sample.labels)} ${sample.value}`));
+                continue;
+            }
+
+            if (metric.type === 'counter') {
+                for (const { labels, value } of metric.values.values()) {
+                    lines.push(`${metric.name}${formatLabels(labels)} ${value}`);
+                }
+                continue;
+            }
+
+            for (const sample of metric.values.values()) {
+                metric.buckets.forEach((bound, i) => {
+                    lines.push(`${metric.name}_bucket${formatLabels({ ...sample.labels, le: bound })} ${sample.counts[i]}`);
+                });
+                lines.push(`${metric.name}_bucket${formatLabels({ ...sample.labels, le: '+Inf' })} ${sample.count}`);
+                lines.push(`${metric.name}_sum${formatLabels(sample.labels)} ${sample.sum}`);
+                lines.push(`${metric.name}_count${formatLabels(sample.labels)} ${sample.count}`);
+            }
+        }
+
+        return lines.join('\n') + '\n';
+    }
+}
+
+function labelKey(labels) {
+    return JSON.stringify(Object.entries(labels).sort());
+}
+
+function formatLabels(labels) {
+    const entries = Object.entries(labels || {});
+    if (entries.length === 0) return '';
+
+    const escape = value => String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+    return `{${entries.map(([key, value]) => `${key}="${escape(value)}"`).join(',')}}`;
+}
+
+module.exports = { Metrics };
@@ -0,0 +1,22 @@
+// Posts through the logged-in bot client to the collection's channel
+class DiscordChannelSink {
+    constructor(bot) {
+        this.name = 'discord-bot';
+        this.bot = bot;
+        this.testSales = true; // Our own channel, where TEST_MODE posts are marked as tests
+    }
+
+    async sendSale(sale, context) {
+        return this.bot.postSaleToDiscord(sale, context);
+    }
+
+    async retract(ref, sale) {
+        await this.bot.retractDiscordPost(ref, sale);
+    }
+
+    async remove(ref) {
+        await this.bot.deleteDiscordPost(ref);
+    }
+}
+
+module.exports = { DiscordChannelSink };
@@ -0,0 +1,71 @@
+const axios = require('axios');
+const { renderTemplate, retractEmbed } = require('./template');
+const { annotateRateLimit } = require('./rateLimit');
+
+// Posts the same sale embed as the bot, through a Discord webhook URL (no bot login needed)
+class DiscordWebhookSink {
+    constructor(options) {
+        if (!options.url) throw new Error('discord-webhook sink needs a url');
+
+        this.name = options.name || 'discord-webhook';
+        this.url = options.url;
+        this.username = options.username;
+        this.avatarUrl = options.avatarUrl;
+        this.content = options.template || null; // Optional text above the embed
+        this.selection = { layout: options.layout, locale: options.locale }; // Defaults: EMBED_LAYOUT, LOCALE
+        this.card = options.card !== false; // Attach the sale card when SALE_CARDS is on
+        this.timeout = options.timeout || 10000;
+        this.testSales = options.testSales === true; // Also post TEST_MODE sales
+    }
+
+    async sendSale(sale, context) {
+        const embed = context.buildEmbed(this.selection);
+        const card = this.card ? await context.buildCard() : null;
+        const body = {
+            embeds: [(card ? embed.setImage('attachment://sale-card.png') : embed).toJSON()],
+            username: this.username,
+            avatar_url: this.avatarUrl
+        };
+
+        if (this.content) {
+            body.content = renderTemplate(this.content, context.variables);
+        }
+
+        // wait=true makes Discord return the message, so it can be edited on a retraction
+        const response = await axios.post(this.url, card ? withCard(body, card) : body, {
+            params: { wait: true },
+            timeout: this.timeout
+        }).catch(error => {
+            throw annotateRateLimit(error);
+        });
+
+        return { messageId: response.data && response.data.id };
+    }
+
+    async retract(ref, sale, context) {
+        if (!ref.messageId) return;
+
+        const messageUrl = `${this.url}/messages/${ref.messageId}`;
+        const { data: message } = await axios.get(messageUrl, { timeout: this.timeout });
+
+        await axios.patch(messageUrl, {
+            embeds: message.embeds.map((embed, i) => (i === 0 ? retractEmbed(embed, sale, context.strings(this.selection.locale)) : embed))
+        }, { timeout: this.timeout });
+    }
+
+    async remove(ref) {
+        if (!ref.messageId) return;
+
+        await axios.delete(`${this.url}/messages/${ref.messageId}`, { timeout: this.timeout });
+    }
+}
+
+// Multipart body with the card as an attachment the embed can reference
+function withCard(body, card) {
+    const form = new FormData();
+    form.append('payload_json', JSON.stringify({ ...body, attachments: [{ id: 0, filename: 'sale-card.png' }] }));
+    form.append('files[0]', new Blob([card], { type: 'image/png' }), 'sale-card.png');
+    return form;
+}
+
+module.exports = { DiscordWebhookSink };
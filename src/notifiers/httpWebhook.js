@@ -0,0 +1,52 @@
+const crypto = require('crypto');
+const axios = require('axios');
+const { annotateRateLimit } = require('./rateLimit');
+
+// Generic JSON POST. With a secret, the body is signed as
+// X-Signature: sha256=HMAC(secret, `${timestamp}.${body}`) so receivers can verify it.
+class HttpWebhookSink {
+    constructor(options) {
+        if (!options.url) throw new Error('http sink needs a url');
+
+        this.name = options.name || 'http';
+        this.url = options.url;
+        this.secret = options.secret;
+        this.headers = options.headers || {};
+        this.timeout = options.timeout || 10000;
+        this.testSales = options.testSales === true; // Also send TEST_MODE sales (the body's sale has isTest)
+    }
+
+    async sendSale(sale, context) {
+        const body = JSON.stringify({
+            event: context.kind,
+            collection: { name: context.collection.name, address: context.collection.address },
+            sale,
+            links: context.links,
+            metadata: context.metadata
+        });
+
+        await axios.post(this.url, body, {
+            headers: { 'Content-Type': 'application/json', ...this.headers, ...this.sign(body) },
+            timeout: this.timeout
+        }).catch(error => {
+            throw annotateRateLimit(error);
+        });
+    }
+
+    sign(body) {
+        if (!this.secret) return {};
+
+        const timestamp = Math.floor(Date.now() / 1000).toString();
+        const signature = crypto
+            .createHmac('sha256', this.secret)
+            .update(`${timestamp}.${body}`)
+            .digest('hex');
+
+        return {
+            'X-Timestamp': timestamp,
+            'X-Signature': `sha256=${signature}`
+        };
+    }
+}
+
+module.exports = { HttpWebhookSink };
@@ -0,0 +1,158 @@
+const { DiscordChannelSink } = require('./discordChannel');
+const { DiscordWebhookSink } = require('./discordWebhook');
+const { TelegramSink } = require('./telegram');
+const { TwitterSink } = require('./twitter');
+const { HttpWebhookSink } = require('./httpWebhook');
+const { logger } = require('../logger');
+
+const log = logger.child({ component: 'notifiers' });
+
+const SINK_TYPES = {
+    'discord-webhook': DiscordWebhookSink,
+    telegram: TelegramSink,
+    twitter: TwitterSink,
+    http: HttpWebhookSink
+};
+
+// How updatePosts words each action: [verb, past tense, what a sink without it cannot do]
+const POST_ACTIONS = {
+    retract: ['retract', 'retracted', 'edit'],
+    remove: ['delete', 'deleted', 'delete']
+};
+
+// 📣 Fans each sale out to every configured sink.
+// Sinks run side by side and each one is isolated: a failure or a hang in
+// one sink is logged and reported, never allowed to block the others.
+class NotificationHub {
+    constructor(sinks = [], options = {}) {
+        this.sinks = sinks;
+        this.timeout = options.timeout || 30000;
+    }
+
+    addSink(sink) {
+        this.sinks.push(sink);
+        return this;
+    }
+
+    // `skip` names sinks that already delivered this sale on an earlier attempt. Test sales
+    // only go to sinks that opted in with `testSales`, so fakes never reach public feeds.
+    async notifySale(sale, context, { skip = [] } = {}) {
+        const sinks = this.sinks.filter(sink => !skip.includes(sink.name) && (!sale.isTest || sink.testSales));
+        const results = await Promise.allSettled(
+            sinks.map(sink => this.withTimeout(sink.sendSale(sale, context), sink.name))
+        );
+
+        const label = sale.isSweep ? `sweep of ${sale.count}` : `#${sale.tokenId}`;
+
+        return results.map((result, i) => {
+            const sink = sinks[i];
+
+            if (result.status === 'rejected') {
+                log.warn(`${sink.name} failed for ${label}`, { sink: sink.name, txHash: sale.txHash, error: result.reason.message });
+                return {
+                    sink: sink.name,
+                    ok: false,
+                    error: result.reason.message,
+                    retryAfter: result.reason.retryAfter
+                };
+            }
+
+            log.info(`${sink.name} delivered ${label}`, { sink: sink.name, txHash: sale.txHash });
+            return { sink: sink.name, ok: true, ref: result.value || null };
+        });
+    }
+
+    /**
+     * Mark an already-posted sale as retracted on every sink that can edit its posts.
+     * `refs` maps sink names to what they returned when posting (e.g. a message ID);
+     * `context.strings(locale)` gives sinks the wording for the language they post in.
+     */
+    async retractSale(sale, refs = {}, context = {}) {
+        await this.updatePosts('retract', sale, refs, context);
+    }
+
+    // Delete an already-posted sale's posts on every sink that can; `refs` as for retractSale
+    async removeSale(sale, refs = {}) {
+        await this.updatePosts('remove', sale, refs);
+    }
+
+    async updatePosts(action, sale, refs, context = {}) {
+        const [verb, done, edit] = POST_ACTIONS[action];
+        const targets = this.sinks.filter(sink => refs[sink.name] && typeof sink[action] === 'function');
+
+        const results = await Promise.allSettled(
+            targets.map(sink => this.withTimeout(sink[action](refs[sink.name], sale, context), sink.name))
+        );
+
+        results.forEach((result, i) => {
+            if (result.status === 'rejected') {
+                log.warn(`${targets[i].name} could not ${verb} #${sale.tokenId}`, { sink: targets[i].name, txHash: sale.txHash, error: result.reason.message });
+            } else {
+                log.info(`${targets[i].name} ${done} #${sale.tokenId}`, { sink: targets[i].name, txHash: sale.txHash });
+            }
+        });
+
+        const skipped = Object.keys(refs).filter(name => !targets.some(sink => sink.name === name));
+        if (skipped.length > 0) {
+            log.warn(`Cannot ${edit} posts on ${skipped.join(', ')} - #${sale.tokenId} stays up there`, { sinks: skipped, txHash: sale.txHash });
+        }
+    }
+
+    withTimeout(promise, name) {
+        let timer;
+        const timeout = new Promise((resolve, reject) => {
+            timer = setTimeout(() => reject(new Error(`${name} timed out after ${this.timeout}ms`)), this.timeout);
+        });
+
+        return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+    }
+}
+
+/**
+ * Build sinks from config entries such as
+ * { "type": "telegram", "botToken": "...", "chatId": "...", "template": "..." }.
+ * The logged-in Discord bot is added as a sink of its own when enabled. Deliveries and
+ * message refs are kept per sink name, so two sinks with one name (e.g. two telegram
+ * entries without a `name`) stop startup.
+ */
+function createNotificationHub(definitions, bot) {
+    const sinks = [];
+
+    if (bot) {
+        sinks.push(new DiscordChannelSink(bot));
+    }
+
+    for (const definition of definitions) {
+        const SinkType = SINK_TYPES[definition.type];
+
+        if (!SinkType) {
+            log.error(`Unknown notifier type "${definition.type}", skipping`);
+            continue;
+        }
+
+        try {
+            sinks.push(new SinkType(definition));
+        } catch (error) {
+            log.error(`Could not set up ${definition.type} notifier`, { err: error });
+        }
+    }
+
+    const names = sinks.map(sink => sink.name);
+    const duplicates = [...new Set(names.filter((name, index) => names.indexOf(name) !== index))];
+    if (duplicates.length > 0) {
+        throw new Error(`Notifier names must be unique, give each of these sinks its own "name": ${duplicates.join(', ')}`);
+    }
+
+    log.info('Notification sinks', { sinks: names });
+    return new NotificationHub(sinks);
+}
+
+module.exports = {
+    NotificationHub,
+    createNotificationHub,
+    DiscordChannelSink,
+    DiscordWebhookSink,
+    TelegramSink,
+    TwitterSink,
+    HttpWebhookSink
+};
@@ -0,0 +1,21 @@
+// Turns an HTTP 429 from a sink's API into an error carrying `retryAfter` (ms),
+// which the delivery queue uses instead of its own backoff
+function annotateRateLimit(error) {
+    const response = error.response;
+    if (!response || response.status !== 429) return error;
+
+    const body = response.data || {};
+    const seconds =
+        body.retry_after ??                                       // Discord
+        (body.parameters && body.parameters.retry_after) ??        // Telegram
+        Number(response.headers && response.headers['retry-after']);
+
+    if (Number.isFinite(Number(seconds))) {
+        error.retryAfter = Math.ceil(Number(seconds) * 1000);
+        error.message = `Rate limited, retry after ${error.retryAfter}ms`;
+    }
+
+    return error;
+}
+
+module.exports = { annotateRateLimit };
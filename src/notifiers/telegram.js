@@ -0,0 +1,95 @@
+const axios = require('axios');
+const { renderTemplate } = require('./template');
+const { annotateRateLimit } = require('./rateLimit');
+
+const DEFAULT_TEMPLATE = '🎉 <b>{name}</b> sold for <b>{price}</b> {usd}\n👤 {seller} → 🛒 {buyer}\n<a href="{marketplaceUrl}">Marketplace</a> • <a href="{txUrl}">Transaction</a>';
+const DEFAULT_SWEEP_TEMPLATE = '🧹 <b>{buyer}</b> swept <b>{count} {collection}</b> for <b>{total}</b> {usd} ({perItem} each)\n{tokenIds}\n<a href="{txUrl}">Transaction</a>';
+
+const HTML_ESCAPES = { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;' };
+const HTML_UNESCAPES = Object.fromEntries(Object.entries(HTML_ESCAPES).map(([char, entity]) => [entity, char]));
+const CAPTION_LIMIT = 1024; // Telegram counts the caption after HTML parsing
+
+// Length of the text as Telegram sees it once tags are stripped and entities decoded
+function visibleLength(html) {
+    return html.replace(/<[^>]*>/g, '').replace(/&(amp|lt|gt|quot);/g, entity => HTML_UNESCAPES[entity]).length;
+}
+
+// Messages go out with parse_mode HTML, so values (token names, ENS names, traits) must not
+// be able to open or break tags; the template's own markup is left alone
+function escapeVariables(variables) {
+    const escaped = {};
+    for (const [key, value] of Object.entries(variables)) {
+        escaped[key] = value === undefined || value === null ? value : String(value).replace(/[&<>"]/g, char => HTML_ESCAPES[char]);
+    }
+    return escaped;
+}
+
+// Sends sale posts through the Telegram Bot API, with the sale card or token image when there is one
+class TelegramSink {
+    constructor(options) {
+        if (!options.botToken || !options.chatId) throw new Error('telegram sink needs botToken and chatId');
+
+        this.name = options.name || 'telegram';
+        this.chatId = options.chatId;
+        this.template = options.template || DEFAULT_TEMPLATE;
+        this.sweepTemplate = options.sweepTemplate || DEFAULT_SWEEP_TEMPLATE;
+        this.apiUrl = `${(options.baseUrl || 'https://api.telegram.org').replace(/\/$/, '')}/bot${options.botToken}`;
+        this.timeout = options.timeout || 10000;
+        this.card = options.card !== false; // Send the sale card when SALE_CARDS is on
+        this.testSales = options.testSales === true; // Also post TEST_MODE sales
+    }
+
+    async sendSale(sale, context) {
+        try {
+            await this.send(context);
+        } catch (error) {
+            throw annotateRateLimit(error);
+        }
+    }
+
+    async send(context) {
+        const template = context.kind === 'sweep' ? this.sweepTemplate : this.template;
+        const text = renderTemplate(template, escapeVariables(context.variables));
+        const image = context.variables.image;
+        const card = this.card ? await context.buildCard() : null;
+        // A long post can't ride along as a caption, so the photo goes first and the text follows it
+        const caption = visibleLength(text) <= CAPTION_LIMIT ? text : null;
+
+        if (card) {
+            const form = new FormData();
+            form.append('chat_id', this.chatId);
+            form.append('photo', new Blob([card], { type: 'image/png' }), 'sale-card.png');
+            if (caption) {
+                form.append('caption', caption);
+                form.append('parse_mode', 'HTML');
+            }
+
+            await axios.post(`${this.apiUrl}/sendPhoto`, form, { timeout: this.timeout });
+            if (!caption) await this.sendMessage(text);
+            return;
+        }
+
+        if (image && image.startsWith('http')) {
+            await axios.post(`${this.apiUrl}/sendPhoto`, {
+                chat_id: this.chatId,
+                photo: image,
+                ...(caption && { caption, parse_mode: 'HTML' })
+            }, { timeout: this.timeout });
+            if (!caption) await this.sendMessage(text);
+            return;
+        }
+
+        await this.sendMessage(text);
+    }
+
+    async sendMessage(text) {
+        await axios.post(`${this.apiUrl}/sendMessage`, {
+            chat_id: this.chatId,
+            text,
+            parse_mode: 'HTML',
+            disable_web_page_preview: true
+        }, { timeout: this.timeout });
+    }
+}
+
+module.exports = { TelegramSink };
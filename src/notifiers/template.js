@@ -0,0 +1,114 @@
+const { formatUsd } = require('../priceOracle');
+
+// Replaces {placeholder} names with values; unknown names are left as-is unless `missing` is given
+function renderTemplate(template, variables, missing = null) {
+    return template.replace(/\{(\w+)\}/g, (match, key) => {
+        if (variables[key] !== undefined && variables[key] !== null) return String(variables[key]);
+        return missing === null ? match : missing;
+    });
+}
+
+function shortenAddress(address) {
+    if (!address || address.length < 10) return address || 'Unknown';
+    return `${address.slice(0, 6)}...${address.slice(-4)}`;
+}
+
+// Resolved name of a party when the identity resolver found one, else the short address
+function partyName(context, role, address) {
+    const party = context.parties && context.parties[role];
+    return party && party.name ? party.name : shortenAddress(address);
+}
+
+// "new holder" / "now holds 12", or '' when the balance is unknown
+function partyHoldings(context, role) {
+    const party = context.parties && context.parties[role];
+    if (!party || party.holdings === null || party.holdings === undefined) return '';
+    return party.newHolder ? 'new holder' : `now holds ${party.holdings}`;
+}
+
+// {marketplace} is the venue the sale was attributed to ('' when unknown); {marketplaceSite}
+// and {marketplaceLogo} belong to the venue {marketplaceUrl} points at
+function marketplaceVariables(context) {
+    const { venue, site } = context.marketplace || {};
+
+    return {
+        marketplace: venue ? venue.name : '',
+        marketplaceSite: site ? site.name : '',
+        marketplaceLogo: site ? site.logo : null
+    };
+}
+
+// The placeholder values every sink template can use
+function buildSaleVariables(sale, context) {
+    const { collection, metadata, links } = context;
+
+    return {
+        collection: collection.name,
+        tokenId: sale.tokenId,
+        name: metadata ? metadata.name : `${collection.name} #${sale.tokenId}`,
+        price: sale.price || 'Unknown',
+        usd: formatUsd(sale.usdValue) || '',
+        seller: partyName(context, 'seller', sale.from),
+        buyer: partyName(context, 'buyer', sale.to),
+        sellerAddress: sale.from,
+        buyerAddress: sale.to,
+        buyerHoldings: partyHoldings(context, 'buyer'),
+        blockNumber: sale.blockNumber,
+        txHash: sale.txHash,
+        txUrl: links.txUrl,
+        marketplaceUrl: links.marketplaceUrl,
+        ...marketplaceVariables(context),
+        image: metadata ? metadata.image : null,
+        alert: context.alert ? context.alert.title : ''
+    };
+}
+
+// Sweeps reuse the sale names where they make sense ({price} is the total)
+function buildSweepVariables(sweep, context) {
+    const { collection, metadata, links } = context;
+
+    return {
+        collection: collection.name,
+        tokenId: sweep.tokenId,
+        tokenIds: sweep.tokenIds.map(id => `#${id}`).join(', '),
+        count: sweep.count,
+        name: `${sweep.count}x ${collection.name}`,
+        price: sweep.price || 'Unknown',
+        total: sweep.price || 'Unknown',
+        perItem: sweep.perItemPrice || 'Unknown',
+        usd: formatUsd(sweep.usdValue) || '',
+        seller: sweep.from ? partyName(context, 'seller', sweep.from) : `${sweep.sellerCount} sellers`,
+        buyer: partyName(context, 'buyer', sweep.to),
+        sellerAddress: sweep.from,
+        buyerAddress: sweep.to,
+        buyerHoldings: partyHoldings(context, 'buyer'),
+        blockNumber: sweep.blockNumber,
+        txHash: sweep.txHash,
+        txUrl: links.txUrl,
+        marketplaceUrl: links.marketplaceUrl,
+        ...marketplaceVariables(context),
+        image: metadata ? metadata.image : null,
+        alert: context.alert ? context.alert.title : ''
+    };
+}
+
+// Rewrites a posted Discord embed (as JSON) to show that a sale was retracted after a reorg,
+// or taken down by an admin when the sale has `retractedBy: 'admin'`. `strings` are the
+// locale strings of the channel the embed was posted in.
+function retractEmbed(embed, sale, strings) {
+    const note = {
+        name: strings.retractedLabel,
+        value: renderTemplate(sale.retractedBy === 'admin' ? strings.retractedByAdmin : strings.retractedByReorg, { tokenId: sale.tokenId }),
+        inline: false
+    };
+    const title = embed.title || '';
+
+    return {
+        ...embed,
+        title: sale.isSweepItem || title.startsWith(strings.retractedPrefix) ? title : `${strings.retractedPrefix}${title}`,
+        color: sale.isSweepItem ? embed.color : 0x808080,
+        fields: [...(embed.fields || []), note].slice(0, 25)
+    };
+}
+
+module.exports = { renderTemplate, buildSaleVariables, buildSweepVariables, shortenAddress, retractEmbed };
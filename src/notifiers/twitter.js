@@ -0,0 +1,94 @@
+const crypto = require('crypto');
+const axios = require('axios');
+const { renderTemplate } = require('./template');
+const { annotateRateLimit } = require('./rateLimit');
+
+const DEFAULT_TEMPLATE = '{name} sold for {price} {usd}\n\n{seller} → {buyer}\n{marketplaceUrl}';
+const DEFAULT_SWEEP_TEMPLATE = '🧹 {buyer} swept {count} {collection} for {total} {usd} ({perItem} each)\n\n{txUrl}';
+
+const TWEET_LIMIT = 280;
+const URL_WEIGHT = 23; // X wraps every link in t.co, so each one counts as 23 characters
+const URL_PATTERN = /https?:\/\/\S+/g;
+
+function tweetLength(text) {
+    const urls = text.match(URL_PATTERN) || [];
+    return [...text.replace(URL_PATTERN, '')].length + urls.length * URL_WEIGHT;
+}
+
+// Shortens the text ahead of the first link so the links themselves are never cut
+function fitTweet(text) {
+    if (tweetLength(text) <= TWEET_LIMIT) return text;
+
+    const start = text.search(URL_PATTERN);
+    const head = start === -1 ? text : text.slice(0, start);
+    const tail = start === -1 ? '' : text.slice(start);
+    const separator = head.match(/\s*$/)[0];
+    const room = TWEET_LIMIT - tweetLength(tail) - separator.length - 1;
+
+    if (room <= 0) return [...head.trimEnd()].slice(0, TWEET_LIMIT - 1).join('') + '…';
+    return [...head.trimEnd()].slice(0, room).join('').trimEnd() + '…' + separator + tail;
+}
+
+function percentEncode(value) {
+    return encodeURIComponent(value).replace(/[!'()*]/g, c => `%${c.charCodeAt(0).toString(16).toUpperCase()}`);
+}
+
+// Posts to X/Twitter via POST /2/tweets, signed with OAuth 1.0a user credentials
+class TwitterSink {
+    constructor(options) {
+        const required = ['apiKey', 'apiSecret', 'accessToken', 'accessSecret'];
+        const missing = required.filter(key => !options[key]);
+        if (missing.length > 0) throw new Error(`twitter sink needs ${missing.join(', ')}`);
+
+        this.name = options.name || 'twitter';
+        this.credentials = options;
+        this.template = options.template || DEFAULT_TEMPLATE;
+        this.sweepTemplate = options.sweepTemplate || DEFAULT_SWEEP_TEMPLATE;
+        this.url = `${(options.baseUrl || 'https://api.twitter.com').replace(/\/$/, '')}/2/tweets`;
+        this.timeout = options.timeout || 10000;
+        this.testSales = options.testSales === true; // Also post TEST_MODE sales
+    }
+
+    async sendSale(sale, context) {
+        const template = context.kind === 'sweep' ? this.sweepTemplate : this.template;
+        const text = fitTweet(renderTemplate(template, context.variables));
+
+        await axios.post(this.url, { text }, {
+            headers: {
+                Authorization: this.authorizationHeader('POST', this.url),
+                'Content-Type': 'application/json'
+            },
+            timeout: this.timeout
+        }).catch(error => {
+            throw annotateRateLimit(error);
+        });
+    }
+
+    // JSON bodies are not part of the OAuth 1.0a signature base string
+    authorizationHeader(method, url) {
+        const oauth = {
+            oauth_consumer_key: this.credentials.apiKey,
+            oauth_nonce: crypto.randomBytes(16).toString('hex'),
+            oauth_signature_method: 'HMAC-SHA1',
+            oauth_timestamp: Math.floor(Date.now() / 1000).toString(),
+            oauth_token: this.credentials.accessToken,
+            oauth_version: '1.0'
+        };
+
+        const parameters = Object.keys(oauth)
+            .sort()
+            .map(key => `${percentEncode(key)}=${percentEncode(oauth[key])}`)
+            .join('&');
+        const baseString = [method, percentEncode(url), percentEncode(parameters)].join('&');
+        const signingKey = `${percentEncode(this.credentials.apiSecret)}&${percentEncode(this.credentials.accessSecret)}`;
+
+        oauth.oauth_signature = crypto.createHmac('sha1', signingKey).update(baseString).digest('base64');
+
+        return 'OAuth ' + Object.keys(oauth)
+            .sort()
+            .map(key => `${percentEncode(key)}="${percentEncode(oauth[key])}"`)
+            .join(', ');
+    }
+}
+
+module.exports = { TwitterSink };
@@ -0,0 +1,282 @@
+const { ethers } = require('ethers');
+const { logger } = require('./logger');
+
+const log = logger.child({ component: 'priceExtractor' });
+
+const TRANSFER_TOPIC = ethers.id('Transfer(address,address,uint256)');
+const ZERO_ADDRESS = '0x0000000000000000000000000000000000000000';
+
+// Tokens we can label without an RPC round-trip
+const KNOWN_CURRENCIES = {
+    '0x5555555555555555555555555555555555555555': { symbol: 'WHYPE', decimals: 18 }
+};
+
+const ERC20_METADATA_ABI = [
+    'function symbol() view returns (string)',
+    'function decimals() view returns (uint8)'
+];
+
+// Seaport-style fill event - most EVM marketplace forks emit this unchanged
+const SEAPORT_ORDER_FULFILLED = {
+    name: 'Seaport',
+    abi: 'event OrderFulfilled(bytes32 orderHash, address indexed offerer, address indexed zone, address recipient, (uint8 itemType, address token, uint256 identifier, uint256 amount)[] offer, (uint8 itemType, address token, uint256 identifier, uint256 amount, address recipient)[] consideration)',
+    decode: (args) => decodeSeaportFill(args)
+};
+
+// 💰 Works out what was actually paid for each NFT in a transaction.
+// Sources, most precise first: registered marketplace fill events,
+// ERC-20 payments to the seller, then the native tx.value split across the bundle.
+class PriceExtractor {
+    constructor(provider, options = {}) {
+        this.provider = provider;
+        this.nativeSymbol = options.nativeSymbol || 'HYPE';
+        this.currencyCache = new Map(Object.entries(KNOWN_CURRENCIES));
+        this.marketplaceEvents = [];
+
+        this.registerMarketplaceEvent(SEAPORT_ORDER_FULFILLED);
+        (options.marketplaceEvents || []).forEach(def => this.registerMarketplaceEvent(def));
+    }
+
+    /**
+     * Register a marketplace fill event by ABI.
+     * Either pass a `decode(args, log)` returning an array of fills, or a `fields`
+     * map naming the event arguments that hold tokenId, price, currency, seller, buyer and collection.
+     */
+    registerMarketplaceEvent(definition) {
+        const iface = new ethers.Interface([definition.abi]);
+        const fragment = iface.fragments.find(f => f.type === 'event');
+
+        this.marketplaceEvents.push({
+            name: definition.name,
+            address: definition.address ? definition.address.toLowerCase() : null,
+            iface,
+            topic: fragment.topicHash,
+            decode: definition.decode || ((args) => decodeByFieldMap(args, definition.fields || {}))
+        });
+
+        log.info('Registered fill event', { marketplace: definition.name, event: fragment.name });
+    }
+
+    async extract({ tx, receipt, transfer, collection }) {
+        const collectionAddress = collection.toLowerCase();
+
+        const fill = this.findMarketplaceFill(receipt, transfer, collectionAddress);
+        if (fill) {
+            return this.buildPrice(fill.price, fill.currency, 'marketplace-event', {
+                marketplaceName: fill.marketplaceName,
+                payments: fill.payments
+            });
+        }
+
+        const erc20 = this.findErc20Payment(receipt, transfer, collectionAddress);
+        if (erc20) {
+            return this.buildPrice(erc20.price, erc20.currency, 'erc20-payment', {
+                sellerProceeds: erc20.sellerProceeds,
+                payments: erc20.payments
+            });
+        }
+
+        if (tx.value && tx.value > 0n) {
+            const bundleSize = BigInt(Math.max(1, this.countNftTransfers(receipt, collectionAddress)));
+            return this.buildPrice(tx.value / bundleSize, ZERO_ADDRESS, 'native-value', { bundleSize: Number(bundleSize) });
+        }
+
+        return null;
+    }
+
+    findMarketplaceFill(receipt, transfer, collectionAddress) {
+        for (const entry of receipt.logs) {
+            const definition = this.marketplaceEvents.find(def =>
+                def.topic === entry.topics[0] &&
+                (!def.address || def.address === entry.address.toLowerCase())
+            );
+            if (!definition) continue;
+
+            try {
+                const parsed = definition.iface.parseLog(entry);
+                const fills = definition.decode(parsed.args, entry) || [];
+
+                const match = fills.find(fill =>
+                    fill.tokenId !== undefined &&
+                    fill.tokenId.toString() === transfer.tokenId &&
+                    (!fill.collection || fill.collection.toLowerCase() === collectionAddress)
+                );
+
+                if (match && match.price > 0n) {
+                    return { ...match, marketplaceName: definition.name };
+                }
+            } catch (error) {
+                log.warn('Could not decode fill event', { marketplace: definition.name, txHash: receipt.hash, err: error });
+            }
+        }
+
+        return null;
+    }
+
+    findErc20Payment(receipt, transfer, collectionAddress) {
+        const seller = transfer.from.toLowerCase();
+        const payments = receipt.logs
+            .filter(log => log.topics[0] === TRANSFER_TOPIC && log.topics.length === 3)
+            .map(log => ({
+                token: log.address.toLowerCase(),
+                from: ('0x' + log.topics[1].slice(26)).toLowerCase(),
+                to: ('0x' + log.topics[2].slice(26)).toLowerCase(),
+                amount: BigInt(log.data)
+            }));
+
+        const toSeller = payments.filter(p => p.to === seller && p.amount > 0n);
+        if (toSeller.length === 0) return null;
+
+        const currency = toSeller[0].token;
+        const payer = toSeller[0].from;
+
+        // Gross price = everything the payer sent in that currency (seller + fees + royalties)
+        const paid = payments.filter(p => p.token === currency && p.from === payer && p.amount > 0n);
+        const gross = paid.reduce((sum, p) => sum + p.amount, 0n);
+        const sellerProceeds = toSeller
+            .filter(p => p.token === currency)
+            .reduce((sum, p) => sum + p.amount, 0n);
+
+        // Spread across every token this seller let go of in the same tx
+        const itemCount = BigInt(Math.max(1, this.countNftTransfers(receipt, collectionAddress, seller)));
+
+        return {
+            price: gross / itemCount,
+            sellerProceeds: sellerProceeds / itemCount,
+            payments: sumByRecipient(paid.map(p => ({ to: p.to, amount: p.amount / itemCount }))),
+            currency
+        };
+    }
+
+    countNftTransfers(receipt, collectionAddress, fromAddress = null) {
+        return receipt.logs.filter(log =>
+            log.address.toLowerCase() === collectionAddress &&
+            log.topics[0] === TRANSFER_TOPIC &&
+            log.topics.length >= 4 &&
+            ('0x' + log.topics[1].slice(26)).toLowerCase() !== ZERO_ADDRESS &&
+            (!fromAddress || ('0x' + log.topics[1].slice(26)).toLowerCase() === fromAddress)
+        ).length;
+    }
+
+    async buildPrice(amount, currencyAddress, source, extra = {}) {
+        const currency = await this.getCurrency(currencyAddress);
+        const formatted = ethers.formatUnits(amount, currency.decimals);
+
+        const result = {
+            price: `${formatted} ${currency.symbol}`,
+            priceAmount: Number(formatted),
+            priceRaw: amount.toString(),
+            currency: currency.symbol,
+            currencyAddress,
+            priceSource: source,
+            ...extra
+        };
+
+        if (extra.sellerProceeds !== undefined) {
+            result.sellerProceeds = ethers.formatUnits(extra.sellerProceeds, currency.decimals);
+        }
+
+        // Who got what, per item - the marketplace registry splits this into proceeds, fee and royalty
+        if (extra.payments) {
+            result.payments = extra.payments.map(payment => ({
+                to: payment.to.toLowerCase(),
+                amount: Number(ethers.formatUnits(payment.amount, currency.decimals))
+            }));
+        }
+
+        return result;
+    }
+
+    async getCurrency(address) {
+        const key = address.toLowerCase();
+
+        if (key === ZERO_ADDRESS) {
+            return { symbol: this.nativeSymbol, decimals: 18 };
+        }
+
+        if (!this.currencyCache.has(key)) {
+            try {
+                const token = new ethers.Contract(address, ERC20_METADATA_ABI, this.provider);
+                const [symbol, decimals] = await Promise.all([token.symbol(), token.decimals()]);
+                this.currencyCache.set(key, { symbol, decimals: Number(decimals) });
+            } catch (error) {
+                log.warn('Could not read ERC-20 metadata', { address, err: error });
+                this.currencyCache.set(key, { symbol: `${address.slice(0, 6)}…`, decimals: 18 });
+            }
+        }
+
+        return this.currencyCache.get(key);
+    }
+}
+
+function decodeByFieldMap(args, fields) {
+    const read = (name) => (name && args[name] !== undefined ? args[name] : undefined);
+
+    return [{
+        tokenId: read(fields.tokenId),
+        price: BigInt(read(fields.price) || 0),
+        currency: read(fields.currency) || ZERO_ADDRESS,
+        seller: read(fields.seller),
+        buyer: read(fields.buyer),
+        collection: read(fields.collection)
+    }];
+}
+
+function decodeSeaportFill(args) {
+    const NFT_TYPES = [2n, 3n]; // ERC721, ERC1155
+    const PAYMENT_TYPES = [0n, 1n]; // native, ERC20
+
+    const offerNfts = args.offer.filter(item => NFT_TYPES.includes(item.itemType));
+    const considerationNfts = args.consideration.filter(item => NFT_TYPES.includes(item.itemType));
+
+    // Listing fill: NFTs offered, payment in consideration. Offer acceptance: the reverse.
+    const nfts = offerNfts.length > 0 ? offerNfts : considerationNfts;
+    const payments = (offerNfts.length > 0 ? args.consideration : args.offer)
+        .filter(item => PAYMENT_TYPES.includes(item.itemType));
+
+    if (nfts.length === 0 || payments.length === 0) return [];
+
+    const total = payments.reduce((sum, item) => sum + item.amount, 0n);
+    const currency = payments[0].itemType === 0n ? ZERO_ADDRESS : payments[0].token;
+    const seller = offerNfts.length > 0 ? args.offerer : args.recipient;
+    const count = BigInt(nfts.length);
+
+    // Listing fill: each consideration payment names its recipient. Offer acceptance: the
+    // consideration holds the fees taken out of the offer, and the seller keeps the rest.
+    let recipients;
+    if (offerNfts.length > 0) {
+        recipients = payments.map(item => ({ to: item.recipient, amount: item.amount }));
+    } else {
+        const fees = args.consideration
+            .filter(item => PAYMENT_TYPES.includes(item.itemType))
+            .map(item => ({ to: item.recipient, amount: item.amount }));
+        const taken = fees.reduce((sum, fee) => sum + fee.amount, 0n);
+        recipients = [...fees, { to: seller, amount: total > taken ? total - taken : 0n }];
+    }
+
+    return nfts.map(item => ({
+        tokenId: item.identifier,
+        collection: item.token,
+        price: total / count,
+        currency,
+        seller,
+        buyer: offerNfts.length > 0 ? args.recipient : args.offerer,
+        payments: sumByRecipient(recipients.map(payment => ({ to: payment.to, amount: payment.amount / count })))
+    }));
+}
+
+// One entry per recipient, so a fee paid in two transfers is counted once
+function sumByRecipient(payments) {
+    const totals = new Map();
+
+    for (const { to, amount } of payments) {
+        const key = to.toLowerCase();
+        totals.set(key, (totals.get(key) || 0n) + amount);
+    }
+
+    return [...totals.entries()]
+        .filter(([, amount]) => amount > 0n)
+        .map(([to, amount]) => ({ to, amount }));
+}
+
+module.exports = { PriceExtractor, TRANSFER_TOPIC, ZERO_ADDRESS };
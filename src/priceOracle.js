@@ -0,0 +1,190 @@
+const fs = require('fs');
+const axios = require('axios');
+const { logger } = require('./logger');
+
+const log = logger.child({ component: 'priceOracle' });
+
+// 💵 USD quotes for sale currencies.
+// A provider only has to implement `getUsdPrice(symbol, timestamp)` and return a
+// number (or null when it has no quote); the oracle handles caching and symbol aliases.
+
+// Wrapped tokens are priced as their native asset
+const SYMBOL_ALIASES = {
+    WHYPE: 'HYPE'
+};
+
+const BUCKET_MS = 5 * 60 * 1000;
+
+class CoinGeckoPriceProvider {
+    constructor(options = {}) {
+        this.name = 'coingecko';
+        this.apiKey = options.apiKey;
+        this.baseUrl = this.apiKey ? 'https://pro-api.coingecko.com/api/v3' : 'https://api.coingecko.com/api/v3';
+        this.coinIds = { HYPE: 'hyperliquid', ...options.coinIds };
+        this.timeout = options.timeout || 8000;
+        this.maxRetries = options.maxRetries !== undefined ? options.maxRetries : 4;
+    }
+
+    // A 429 (the free API allows a few calls a minute, which a backfill soon uses up) waits for
+    // Retry-After, or backs off 2s, 4s, 8s..., and tries again before giving up
+    async get(path, params) {
+        const headers = this.apiKey ? { 'x-cg-pro-api-key': this.apiKey } : {};
+
+        for (let attempt = 0; ; attempt++) {
+            try {
+                const response = await axios.get(`${this.baseUrl}${path}`, { params, headers, timeout: this.timeout });
+                return response.data;
+            } catch (error) {
+                if (!error.response || error.response.status !== 429 || attempt >= this.maxRetries) throw error;
+
+                const retryAfter = Number(error.response.headers && error.response.headers['retry-after']);
+                const delay = Math.min(Number.isFinite(retryAfter) && retryAfter > 0 ? retryAfter * 1000 : 2000 * 2 ** attempt, 60000);
+                log.warn('CoinGecko rate limit hit, waiting before retrying', { delayMs: delay, attempt: attempt + 1 });
+                await new Promise(resolve => setTimeout(resolve, delay));
+            }
+        }
+    }
+
+    async getUsdPrice(symbol, timestamp) {
+        const coinId = this.coinIds[symbol];
+        if (!coinId) return null;
+
+        // Recent sales use the spot price, older ones the nearest point in the hourly chart
+        if (Date.now() - timestamp < BUCKET_MS) {
+            const data = await this.get('/simple/price', { ids: coinId, vs_currencies: 'usd' });
+            return data[coinId] ? data[coinId].usd : null;
+        }
+
+        const seconds = Math.floor(timestamp / 1000);
+        const data = await this.get(`/coins/${coinId}/market_chart/range`, { vs_currency: 'usd', from: seconds - 3600, to: seconds + 3600 });
+
+        const points = data.prices || [];
+        if (points.length === 0) return null;
+
+        const nearest = points.reduce((best, point) =>
+            Math.abs(point[0] - timestamp) < Math.abs(best[0] - timestamp) ? point : best
+        );
+        return nearest[1];
+    }
+}
+
+// Fixed quotes, e.g. { "HYPE": 25.4 } - for tests and offline replays
+class StaticPriceProvider {
+    constructor(prices = {}) {
+        this.name = 'static';
+        this.prices = prices;
+    }
+
+    static fromFile(filePath) {
+        return new StaticPriceProvider(JSON.parse(fs.readFileSync(filePath, 'utf8')));
+    }
+
+    async getUsdPrice(symbol) {
+        return this.prices[symbol] !== undefined ? Number(this.prices[symbol]) : null;
+    }
+}
+
+class PriceOracle {
+    constructor(provider, options = {}) {
+        this.provider = provider;
+        this.maxCacheSize = options.maxCacheSize || 5000;
+        this.cache = new Map();
+    }
+
+    // The quote, or null when there is none or the lookup failed
+    async getUsdPrice(symbol, timestamp = Date.now()) {
+        try {
+            return await this.lookup(symbol, timestamp);
+        } catch (error) {
+            log.warn('Price quote failed', { provider: this.provider.name, symbol: quoteCurrency(symbol), err: error });
+            return null;
+        }
+    }
+
+    // Only answers are cached: a failed lookup throws and is tried again next time
+    async lookup(symbol, timestamp) {
+        if (!symbol) return null;
+
+        const quoteSymbol = quoteCurrency(symbol);
+        const cacheKey = `${quoteSymbol}-${Math.floor(timestamp / BUCKET_MS)}`;
+
+        if (this.cache.has(cacheKey)) {
+            return this.cache.get(cacheKey);
+        }
+
+        const price = await this.provider.getUsdPrice(quoteSymbol, timestamp);
+
+        if (this.cache.size >= this.maxCacheSize) {
+            this.cache.delete(this.cache.keys().next().value);
+        }
+        this.cache.set(cacheKey, price);
+
+        return price;
+    }
+
+    /**
+     * Returns { usdPrice, usdValue } for an amount of `symbol` at `timestamp`. When the lookup
+     * failed (rather than the provider having no quote) it adds `usdMissing: true`, so the sale
+     * is stored as not valued yet and fillMissingUsd() can value it later.
+     */
+    async valueInUsd(amount, symbol, timestamp) {
+        if (typeof amount !== 'number') return { usdPrice: null, usdValue: null };
+
+        try {
+            const usdPrice = await this.lookup(symbol, timestamp);
+            return {
+                usdPrice,
+                usdValue: usdPrice === null ? null : amount * usdPrice
+            };
+        } catch (error) {
+            log.warn('Price quote failed, the sale is stored without USD for now', { provider: this.provider.name, symbol: quoteCurrency(symbol), err: error });
+            return { usdPrice: null, usdValue: null, usdMissing: true };
+        }
+    }
+}
+
+// { HYPE: price } from HYPE_USD_PRICE, or no quote at all (USD values stay null rather
+// than showing $0.00) when it is unset or not a number
+function staticHypeQuote(value) {
+    const price = Number(value);
+
+    if (value === undefined || value === '' || !Number.isFinite(price)) {
+        log.warn('Static price oracle without a valid HYPE_USD_PRICE, USD values are left out', { value });
+        return {};
+    }
+    return { HYPE: price };
+}
+
+function createPriceOracle(config) {
+    let provider;
+
+    if (config.PRICE_ORACLE === 'static') {
+        provider = config.PRICE_FIXTURE_FILE
+            ? StaticPriceProvider.fromFile(config.PRICE_FIXTURE_FILE)
+            : new StaticPriceProvider(staticHypeQuote(config.HYPE_USD_PRICE));
+    } else {
+        provider = new CoinGeckoPriceProvider({ apiKey: config.COINGECKO_API_KEY });
+    }
+
+    log.info('Price oracle ready', { provider: provider.name });
+    return new PriceOracle(provider);
+}
+
+// The asset a currency is priced as, so WHYPE and HYPE amounts can be compared directly
+function quoteCurrency(symbol) {
+    return SYMBOL_ALIASES[symbol] || symbol;
+}
+
+function formatUsd(value) {
+    if (value === null || value === undefined) return null;
+    return `$${value.toLocaleString('en-US', { minimumFractionDigits: 2, maximumFractionDigits: 2 })}`;
+}
+
+module.exports = {
+    PriceOracle,
+    CoinGeckoPriceProvider,
+    StaticPriceProvider,
+    createPriceOracle,
+    quoteCurrency,
+    formatUsd
+};
@@ -0,0 +1,165 @@
+const { ethers } = require('ethers');
+const { logger } = require('./logger');
+
+const log = logger.child({ component: 'rpc' });
+
+// Errors providers return when a getLogs range or result set is too large. Kept narrow: a
+// rate limit ("429 Too Many Requests") must fail over, not split the range into more calls.
+const RANGE_LIMIT_PATTERN = /block range|range too large|query returned more than|max.*results|response size/i;
+const RATE_LIMIT_PATTERN = /\b429\b|too many requests|rate.?limit/i;
+
+function isRangeLimit(error) {
+    const message = String((error && error.message) || '');
+    return RANGE_LIMIT_PATTERN.test(message) && !RATE_LIMIT_PATTERN.test(message);
+}
+
+function hostOf(url) {
+    try {
+        return new URL(url).hostname;
+    } catch (error) {
+        return null;
+    }
+}
+
+// 🔀 Pool of JSON-RPC endpoints behind one provider-like interface.
+// Every call goes to the healthiest endpoint first and fails over down the list.
+// Health is a mix of recent failures and latency; an endpoint that keeps failing
+// is benched for a cooldown that grows with each consecutive failure.
+class ProviderPool {
+    constructor(urls, options = {}) {
+        if (!urls || urls.length === 0) throw new Error('ProviderPool needs at least one RPC URL');
+
+        this.cooldown = options.cooldown || 30000;
+        this.maxCooldown = options.maxCooldown || 10 * 60 * 1000;
+        this.minLogRange = options.minLogRange || 1;
+        this.errorCount = 0;
+        this.endpoints = urls.map(url => ({
+            url,
+            provider: new ethers.JsonRpcProvider(url, undefined, { staticNetwork: options.network || null }),
+            failures: 0,
+            successes: 0,
+            latency: 0,
+            benchedUntil: 0,
+            lastError: null
+        }));
+    }
+
+    score(endpoint) {
+        // Lower is better: each consecutive failure weighs like a 5s response
+        return endpoint.failures * 5000 + endpoint.latency;
+    }
+
+    ranked() {
+        const now = Date.now();
+        const available = this.endpoints.filter(endpoint => endpoint.benchedUntil <= now);
+        const pool = available.length > 0 ? available : [...this.endpoints];
+
+        return pool.sort((a, b) => this.score(a) - this.score(b));
+    }
+
+    async execute(label, fn, { failover = true } = {}) {
+        const candidates = this.ranked();
+        let lastError;
+
+        for (const endpoint of failover ? candidates : candidates.slice(0, 1)) {
+            const started = Date.now();
+
+            try {
+                const result = await fn(endpoint.provider);
+
+                endpoint.latency = endpoint.latency === 0
+                    ? Date.now() - started
+                    : endpoint.latency * 0.8 + (Date.now() - started) * 0.2;
+                endpoint.failures = 0;
+                endpoint.successes++;
+                return result;
+
+            } catch (error) {
+                lastError = error;
+
+                // Range-limit errors are the caller's to handle, not a sign of a sick endpoint
+                if (isRangeLimit(error)) throw error;
+
+                this.errorCount++;
+                endpoint.failures++;
+                endpoint.lastError = error.message;
+                endpoint.benchedUntil = Date.now() + Math.min(this.maxCooldown, this.cooldown * 2 ** (endpoint.failures - 1));
+
+                if (this.endpoints.length > 1) {
+                    log.warn('RPC call failed, failing over', { endpoint: endpoint.url, call: label, err: error });
+                }
+            }
+        }
+
+        throw lastError;
+    }
+
+    // getLogs that halves the block range whenever the endpoint says it is too large
+    async getLogs(filter) {
+        try {
+            return await this.execute('getLogs', provider => provider.getLogs(filter));
+        } catch (error) {
+            const from = Number(filter.fromBlock);
+            const to = Number(filter.toBlock);
+
+            if (!isRangeLimit(error) || to - from + 1 <= this.minLogRange) {
+                throw error;
+            }
+
+            const middle = Math.floor((from + to) / 2);
+            log.debug('getLogs range too large, splitting', { fromBlock: from, toBlock: to, splitAt: middle });
+
+            const left = await this.getLogs({ ...filter, fromBlock: from, toBlock: middle });
+            const right = await this.getLogs({ ...filter, fromBlock: middle + 1, toBlock: to });
+            return left.concat(right);
+        }
+    }
+
+    getBlockNumber() {
+        return this.execute('getBlockNumber', provider => provider.getBlockNumber());
+    }
+
+    getNetwork() {
+        return this.execute('getNetwork', provider => provider.getNetwork());
+    }
+
+    getBlock(blockTag) {
+        return this.execute('getBlock', provider => provider.getBlock(blockTag));
+    }
+
+    getTransaction(hash) {
+        return this.execute('getTransaction', provider => provider.getTransaction(hash));
+    }
+
+    getTransactionReceipt(hash) {
+        return this.execute('getTransactionReceipt', provider => provider.getTransactionReceipt(hash));
+    }
+
+    getCode(address) {
+        return this.execute('getCode', provider => provider.getCode(address));
+    }
+
+    // ContractRunner interface, so read-only ethers.Contract calls go through the pool too
+    call(tx) {
+        return this.execute('call', provider => provider.call(tx));
+    }
+
+    get provider() {
+        return this.ranked()[0].provider;
+    }
+
+    // Endpoints by position and hostname only, since RPC URLs often carry an API key. Error
+    // messages can quote the URL too, so `lastError` is only included with `detail` (admins).
+    health({ detail = false } = {}) {
+        return this.endpoints.map((endpoint, index) => ({
+            endpoint: index,
+            host: hostOf(endpoint.url),
+            healthy: endpoint.benchedUntil <= Date.now(),
+            failures: endpoint.failures,
+            latencyMs: Math.round(endpoint.latency),
+            ...(detail ? { lastError: endpoint.lastError } : {})
+        }));
+    }
+}
+
+module.exports = { ProviderPool, RANGE_LIMIT_PATTERN };
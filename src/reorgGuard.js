@@ -0,0 +1,75 @@
+const { logger } = require('./logger');
+
+const log = logger.child({ component: 'reorg' });
+
+// 🔗 Chain reorg detection from stored block hashes.
+// We remember the hash of every block we finished scanning up to, plus every block
+// a sale came from. Because each block commits to its parent, checking the newest
+// remembered block is enough to know nothing below it changed; only on a mismatch
+// do we walk back to find where the fork starts.
+class ReorgGuard {
+    constructor(store, provider, options = {}) {
+        this.store = store;
+        this.provider = provider;
+        this.window = options.window || 500; // How many blocks back we keep hashes for
+
+        if (!this.store.data.blockHashes || typeof this.store.data.blockHashes !== 'object') {
+            this.store.data.blockHashes = {};
+        }
+    }
+
+    get hashes() {
+        return this.store.data.blockHashes;
+    }
+
+    remember(blockNumber, blockHash) {
+        if (!blockHash) return;
+
+        this.hashes[blockNumber] = blockHash;
+
+        const cutoff = blockNumber - this.window;
+        for (const number of Object.keys(this.hashes)) {
+            if (Number(number) < cutoff) delete this.hashes[number];
+        }
+
+        this.store.save();
+    }
+
+    forget(fromBlock) {
+        for (const number of Object.keys(this.hashes)) {
+            if (Number(number) >= fromBlock) delete this.hashes[number];
+        }
+        this.store.save();
+    }
+
+    /**
+     * Returns the first block that may be orphaned, or null when the chain we scanned still stands.
+     * That is the block after the newest remembered block that still matches; a fork deeper than
+     * the hash window is reported at the oldest block we know about. Only a block that was fetched
+     * and has another hash counts as a mismatch: an endpoint that does not have a block yet (a
+     * lagging node) leaves the answer unknown, so this check is skipped and the next one retries.
+     */
+    async findForkBlock() {
+        const numbers = Object.keys(this.hashes).map(Number).sort((a, b) => b - a);
+        let mismatched = false;
+
+        for (const number of numbers) {
+            const block = await this.provider.getBlock(number);
+
+            if (!block) {
+                log.warn('Block not available from the RPC, skipping reorg check', { blockNumber: number });
+                return null;
+            }
+
+            if (block.hash === this.hashes[number]) {
+                return mismatched ? number + 1 : null;
+            }
+
+            mismatched = true;
+        }
+
+        return mismatched ? numbers[numbers.length - 1] : null;
+    }
+}
+
+module.exports = { ReorgGuard };
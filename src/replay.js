@@ -0,0 +1,333 @@
+const fs = require('fs');
+const path = require('path');
+const { ethers } = require('ethers');
+const { CONFIG } = require('./config');
+const { BotStore } = require('./store');
+const { SaleClassifier } = require('./saleClassifier');
+const { PriceOracle, StaticPriceProvider } = require('./priceOracle');
+const { MarketplaceRegistry } = require('./marketplaces');
+const { loadFixture, listFixtures } = require('./fixtures');
+
+// 🎞️ Deterministic replays of recorded chain activity.
+// A scenario lists recorded tx/receipt fixtures (the same files the classifier fixtures
+// use). Each transaction is placed in its own block and served by a ReplayProvider, so the
+// bot's real scan → processTransferEvents → analyzePotentialSale → delivery path runs
+// unchanged and posts into a ReplayDiscordClient. Nothing touches the network.
+
+// Recorded read-only calls: { to, signature, args, result } → keyed by target and calldata
+function encodeCalls(calls = []) {
+    const encoded = new Map();
+
+    for (const call of calls) {
+        const iface = new ethers.Interface([call.signature]);
+        const fragment = iface.fragments.find(f => f.type === 'function');
+        const data = iface.encodeFunctionData(fragment, call.args || []);
+
+        encoded.set(`${call.to.toLowerCase()}:${data}`, iface.encodeFunctionResult(fragment, call.result));
+    }
+
+    return encoded;
+}
+
+function loadScenario(filePath) {
+    const scenario = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    const dir = path.dirname(filePath);
+    const startBlock = scenario.startBlock || 1;
+
+    const classifierConfig = scenario.classifierConfig
+        ? JSON.parse(fs.readFileSync(path.resolve(dir, scenario.classifierConfig), 'utf8'))
+        : {};
+
+    // Re-home every recorded transaction into its own block so ordering is well defined
+    const transactions = scenario.transactions.map((entry, index) => {
+        const { fixture: fixturePath, block } = typeof entry === 'string' ? { fixture: entry } : entry;
+        const fixture = loadFixture(path.resolve(dir, fixturePath));
+        const blockNumber = block || startBlock + index;
+        const blockHash = replayBlockHash(blockNumber);
+
+        const logs = fixture.receipt.logs.map(log => ({
+            ...log,
+            index: log.logIndex,
+            blockNumber,
+            blockHash,
+            transactionHash: fixture.tx.hash
+        }));
+
+        return {
+            name: path.basename(fixturePath),
+            tx: { ...fixture.tx, blockNumber, blockHash },
+            receipt: { ...fixture.receipt, hash: fixture.tx.hash, blockNumber, blockHash, logs }
+        };
+    });
+
+    return {
+        name: path.basename(filePath, '.json'),
+        description: scenario.description,
+        startBlock,
+        endBlock: Math.max(...transactions.map(entry => entry.tx.blockNumber)),
+        blockTime: scenario.blockTime || 1735689600, // 2025-01-01, one block per second after it
+        transactions,
+        calls: encodeCalls(scenario.calls),
+        usdPrices: scenario.usdPrices || {},
+        classifierConfig,
+        marketplaces: scenario.marketplaces || [],
+        expected: scenario.expected || {}
+    };
+}
+
+function replayBlockHash(blockNumber) {
+    return ethers.id(`replay-block-${blockNumber}`);
+}
+
+function matchesTopics(log, topics = []) {
+    return topics.every((wanted, i) => {
+        if (wanted === null || wanted === undefined) return true;
+        const options = (Array.isArray(wanted) ? wanted : [wanted]).map(topic => topic.toLowerCase());
+        return log.topics[i] !== undefined && options.includes(log.topics[i].toLowerCase());
+    });
+}
+
+// The provider surface the bot uses, answered from a loaded scenario
+class ReplayProvider {
+    constructor(scenario, options = {}) {
+        this.scenario = scenario;
+        this.head = options.head !== undefined ? options.head : scenario.endBlock;
+        this.errorCount = 0;
+        this.endpoints = [{ url: `replay:${scenario.name}` }];
+        this.transactions = new Map(scenario.transactions.map(entry => [entry.tx.hash.toLowerCase(), entry]));
+    }
+
+    async getBlockNumber() {
+        return this.head;
+    }
+
+    async getNetwork() {
+        return { chainId: 999n, name: 'replay' };
+    }
+
+    async getBlock(blockTag) {
+        const number = blockTag === 'latest' ? this.head : Number(blockTag);
+        if (!(number <= this.head)) return null;
+
+        return {
+            number,
+            hash: replayBlockHash(number),
+            parentHash: replayBlockHash(number - 1),
+            timestamp: this.scenario.blockTime + (number - this.scenario.startBlock)
+        };
+    }
+
+    async getLogs(filter) {
+        const addresses = [].concat(filter.address || []).map(address => address.toLowerCase());
+        const fromBlock = filter.fromBlock !== undefined ? Number(filter.fromBlock) : 0;
+        const toBlock = filter.toBlock !== undefined ? Number(filter.toBlock) : this.head;
+
+        return this.scenario.transactions
+            .flatMap(entry => entry.receipt.logs)
+            .filter(log =>
+                log.blockNumber >= fromBlock &&
+                log.blockNumber <= toBlock &&
+                (addresses.length === 0 || addresses.includes(log.address.toLowerCase())) &&
+                matchesTopics(log, filter.topics)
+            )
+            .sort((a, b) => (a.blockNumber - b.blockNumber) || (a.logIndex - b.logIndex))
+            .map(log => ({ ...log }));
+    }
+
+    async getTransaction(hash) {
+        const entry = this.transactions.get(hash.toLowerCase());
+        return entry ? entry.tx : null;
+    }
+
+    async getTransactionReceipt(hash) {
+        const entry = this.transactions.get(hash.toLowerCase());
+        return entry ? entry.receipt : null;
+    }
+
+    async getCode() {
+        return '0x';
+    }
+
+    // ContractRunner interface: only calls recorded in the scenario have an answer
+    async call(tx) {
+        const result = this.scenario.calls.get(`${tx.to.toLowerCase()}:${tx.data}`);
+        if (!result) {
+            throw new Error(`No recorded result for call to ${tx.to} (${tx.data.slice(0, 10)})`);
+        }
+        return result;
+    }
+
+    health() {
+        return [{ endpoint: 0, host: null, healthy: true, failures: 0, latencyMs: 0 }];
+    }
+}
+
+// Stands in for discord.js: channels that keep what was sent so it can be checked
+class ReplayDiscordClient {
+    constructor() {
+        this.posts = [];
+        this.channels = { fetch: async (id) => this.channel(id) };
+        this.channelCache = new Map();
+        this.nextMessageId = 1;
+    }
+
+    isReady() {
+        return true;
+    }
+
+    channel(id) {
+        if (!this.channelCache.has(id)) {
+            const messages = [];
+            this.channelCache.set(id, {
+                id,
+                send: async (payload) => {
+                    const message = {
+                        id: String(this.nextMessageId++),
+                        channelId: id,
+                        content: payload.content || null,
+                        embeds: payload.embeds || [],
+                        edits: 0,
+                        edit: async (update) => {
+                            Object.assign(message, update);
+                            message.edits++;
+                            return message;
+                        }
+                    };
+                    messages.push(message);
+                    this.posts.push(message);
+                    return message;
+                },
+                messages: {
+                    fetch: async (messageId) => messages.find(message => message.id === messageId)
+                }
+            });
+        }
+
+        return this.channelCache.get(id);
+    }
+}
+
+// The text of a post, embeds included, for `contains` checks
+function postText(post) {
+    return JSON.stringify({
+        content: post.content,
+        embeds: post.embeds.map(embed => (embed.toJSON ? embed.toJSON() : embed))
+    });
+}
+
+/**
+ * Runs one scenario through a bot built by `createBot(options)`, then rescans the same
+ * blocks from an older cursor, as after a restart, to prove nothing is posted twice.
+ */
+async function replayScenario(scenario, createBot) {
+    const provider = new ReplayProvider(scenario);
+    const client = new ReplayDiscordClient();
+    const config = scenario.classifierConfig;
+
+    const bot = createBot({
+        provider,
+        client,
+        store: new BotStore({ persist: false }),
+        notifiers: [],
+        priceOracle: new PriceOracle(new StaticPriceProvider(scenario.usdPrices)),
+        saleClassifier: new SaleClassifier({
+            threshold: config.threshold,
+            knownMarketplaces: config.knownMarketplaces,
+            ignoredContracts: config.ignoredContracts
+        }),
+        marketplaceEvents: config.marketplaceEvents,
+        marketplaces: new MarketplaceRegistry(scenario.marketplaces),
+        saleCards: null // Cards fetch token art over the network
+    });
+
+    // Scan with the bot's confirmation depth already satisfied
+    provider.head = scenario.endBlock + CONFIG.CONFIRMATIONS;
+
+    bot.lastProcessedBlock = scenario.startBlock - 1;
+    await bot.checkForTransfers();
+    await bot.deliveryQueue.drain();
+    const firstPass = client.posts.length;
+
+    bot.lastProcessedBlock = scenario.startBlock - 1;
+    await bot.checkForTransfers();
+    await bot.deliveryQueue.drain();
+
+    return {
+        scenario,
+        posts: client.posts,
+        sales: bot.store.data.sales,
+        duplicates: client.posts.length - firstPass,
+        deadLetters: bot.deliveryQueue.deadLetters().length
+    };
+}
+
+function checkExpectations(result) {
+    const { expected } = result.scenario;
+    const problems = [];
+
+    if (result.duplicates > 0) {
+        problems.push(`rescan posted ${result.duplicates} duplicate(s)`);
+    }
+    if (result.deadLetters > 0) {
+        problems.push(`${result.deadLetters} post(s) dead-lettered`);
+    }
+    if (expected.sales !== undefined && result.sales.length !== expected.sales) {
+        problems.push(`expected ${expected.sales} recorded sale(s), got ${result.sales.length}`);
+    }
+
+    if (expected.posts) {
+        const firstPass = result.posts.slice(0, result.posts.length - result.duplicates);
+        if (firstPass.length !== expected.posts.length) {
+            problems.push(`expected ${expected.posts.length} post(s), got ${firstPass.length}`);
+        }
+
+        expected.posts.forEach((post, i) => {
+            if (!firstPass[i]) return;
+            const text = postText(firstPass[i]);
+            (post.contains || [])
+                .filter(fragment => !text.includes(fragment))
+                .forEach(fragment => problems.push(`post ${i + 1} is missing "${fragment}"`));
+        });
+    }
+
+    return problems;
+}
+
+async function replayFixtures(dir, createBot) {
+    const results = [];
+    for (const file of listFixtures(dir)) {
+        results.push(await replayScenario(loadScenario(file), createBot));
+    }
+    return results;
+}
+
+// `node bot.js replay [dir]`: every scenario in the directory, exit code for CI
+async function runReplayFixtures(dir, createBot) {
+    const results = await replayFixtures(dir, createBot);
+    let failures = 0;
+
+    for (const result of results) {
+        const problems = checkExpectations(result);
+        if (problems.length > 0) failures++;
+
+        console.log(`${problems.length === 0 ? '✅' : '❌'} ${result.scenario.name}: ${result.sales.length} sale(s), ${result.posts.length - result.duplicates} post(s)`);
+        result.posts.forEach(post => {
+            const [embed] = post.embeds.map(e => (e.toJSON ? e.toJSON() : e));
+            console.log(`     → ${embed ? embed.title : post.content}`);
+        });
+        problems.forEach(problem => console.log(`     ${problem}`));
+    }
+
+    console.log(`🎞️ ${results.length - failures}/${results.length} replay scenarios passed`);
+    return failures === 0;
+}
+
+module.exports = {
+    ReplayProvider,
+    ReplayDiscordClient,
+    loadScenario,
+    replayScenario,
+    replayFixtures,
+    runReplayFixtures,
+    checkExpectations
+};
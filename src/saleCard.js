@@ -0,0 +1,131 @@
+const axios = require('axios');
+const { Resvg } = require('@resvg/resvg-js');
+const { logger } = require('./logger');
+
+const log = logger.child({ component: 'saleCard' });
+
+const DEFAULT_THEME = {
+    width: 1200,               // Output width in px; the card is always 1200x630 scaled to it
+    background: '#0f0a1e',
+    panel: '#1c1530',          // Placeholder behind the token art
+    accent: null,              // null = the collection's color
+    text: '#ffffff',
+    muted: '#a1a1aa',
+    fontFamily: 'DejaVu Sans',
+    fontFiles: [],             // Extra .ttf/.otf files, e.g. a CJK font for non-Latin names
+    logoUrl: null,             // Square logo drawn top right
+    footer: 'drip.trade',
+    labels: { sale: 'SOLD FOR', sweep: 'SWEPT FOR', seller: 'Seller', buyer: 'Buyer' }
+};
+
+const MAX_IMAGE_BYTES = 5 * 1024 * 1024;
+
+function escapeXml(value) {
+    return String(value)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
+// Keeps text inside its column; the card uses fixed sizes, so a character budget is enough
+function fit(value, maxLength) {
+    const text = String(value || '');
+    return text.length > maxLength ? `${text.slice(0, maxLength - 1)}…` : text;
+}
+
+// 🃏 Sale card images: the token art next to the price, USD value, buyer and seller, in the
+// collection's colors. Built as SVG and rasterised to PNG by resvg on the CPU, so it needs
+// no canvas build or GPU. Sinks get the PNG through `context.buildCard()`.
+class SaleCardRenderer {
+    constructor(options = {}) {
+        const theme = options.theme || {};
+
+        this.theme = { ...DEFAULT_THEME, ...theme, labels: { ...DEFAULT_THEME.labels, ...(theme.labels || {}) } };
+        this.timeout = options.timeout || 8000;
+        this.maxCacheSize = options.maxCacheSize || 100;
+        this.images = new Map(); // url -> data URI
+    }
+
+    // PNG buffer for a sale or sweep context (see buildSaleContext)
+    async render(sale, context) {
+        const [art, logo] = await Promise.all([
+            this.loadImage(context.variables.image),
+            this.loadImage(this.theme.logoUrl)
+        ]);
+
+        const resvg = new Resvg(this.buildSvg(sale, context, art, logo), {
+            fitTo: { mode: 'width', value: this.theme.width },
+            font: {
+                loadSystemFonts: true,
+                fontFiles: this.theme.fontFiles,
+                defaultFontFamily: this.theme.fontFamily
+            }
+        });
+
+        return resvg.render().asPng();
+    }
+
+    buildSvg(sale, context, art, logo) {
+        const { theme } = this;
+        const { collection, variables } = context;
+        const accent = escapeXml(theme.accent || `#${collection.color.toString(16).padStart(6, '0')}`);
+        const text = (x, y, size, fill, value, extra = '') =>
+            `<text x="${x}" y="${y}" font-size="${size}" fill="${escapeXml(fill)}" ${extra}>${escapeXml(value)}</text>`;
+
+        const artwork = art
+            ? `<image href="${escapeXml(art)}" x="40" y="40" width="550" height="550" preserveAspectRatio="xMidYMid slice" clip-path="url(#art)"/>`
+            : `<rect x="40" y="40" width="550" height="550" rx="28" fill="${escapeXml(theme.panel)}"/>` +
+              text(315, 340, 96, accent, `#${fit(sale.tokenId, 8)}`, 'font-weight="bold" text-anchor="middle"');
+
+        return [
+            `<svg xmlns="http://www.w3.org/2000/svg" width="1200" height="630" viewBox="0 0 1200 630" font-family="${escapeXml(theme.fontFamily)}">`,
+            `<defs><clipPath id="art"><rect x="40" y="40" width="550" height="550" rx="28"/></clipPath></defs>`,
+            `<rect width="1200" height="630" fill="${escapeXml(theme.background)}"/>`,
+            `<rect x="0" y="0" width="1200" height="10" fill="${accent}"/>`,
+            artwork,
+            logo ? `<image href="${escapeXml(logo)}" x="1080" y="40" width="80" height="80" preserveAspectRatio="xMidYMid meet"/>` : '',
+            text(640, 100, 30, accent, fit(collection.name.toUpperCase(), 26), 'font-weight="bold" letter-spacing="3"'),
+            text(640, 170, 48, theme.text, fit(variables.name, 17), 'font-weight="bold"'),
+            text(640, 260, 26, theme.muted, context.kind === 'sweep' ? theme.labels.sweep : theme.labels.sale, 'letter-spacing="2"'),
+            text(640, 340, 72, theme.text, fit(variables.price, 14), 'font-weight="bold"'),
+            variables.usd ? text(640, 395, 36, theme.muted, `≈ ${variables.usd}`) : '',
+            text(640, 475, 24, theme.muted, theme.labels.seller),
+            text(760, 475, 28, theme.text, fit(variables.seller, 24)),
+            text(640, 525, 24, theme.muted, theme.labels.buyer),
+            text(760, 525, 28, theme.text, fit(variables.buyer, 24)),
+            theme.footer ? text(1160, 590, 22, theme.muted, theme.footer, 'text-anchor="end"') : '',
+            '</svg>'
+        ].join('');
+    }
+
+    // Token art and logos are embedded as data URIs; failures fall back to the placeholder
+    async loadImage(url) {
+        if (!url) return null;
+        if (url.startsWith('data:image/')) return url;
+        if (!/^https?:\/\//.test(url)) return null;
+
+        if (this.images.has(url)) return this.images.get(url);
+
+        try {
+            const response = await axios.get(url, {
+                responseType: 'arraybuffer',
+                timeout: this.timeout,
+                maxContentLength: MAX_IMAGE_BYTES
+            });
+            const type = String(response.headers['content-type'] || 'image/png').split(';')[0];
+            const dataUri = `data:${type};base64,${Buffer.from(response.data).toString('base64')}`;
+
+            if (this.images.size >= this.maxCacheSize) {
+                this.images.delete(this.images.keys().next().value);
+            }
+            this.images.set(url, dataUri);
+            return dataUri;
+        } catch (error) {
+            log.warn('Could not fetch card image', { url, err: error });
+            return null;
+        }
+    }
+}
+
+module.exports = { SaleCardRenderer, DEFAULT_THEME };
@@ -0,0 +1,133 @@
+// 🧠 Pluggable sale classifier.
+// Each rule looks at one transfer in context and may add evidence for a sale
+// or veto it outright. The classifier returns the verdict plus every rule's reason
+// so a post (or a non-post) can always be explained. A rule marked `required` must match
+// for a sale, whatever confidence the others add up to. Rules see the names of the rules
+// that matched before them in `context.matched`.
+
+function normalizeList(addresses = []) {
+    return new Set(addresses.filter(Boolean).map(address => address.toLowerCase()));
+}
+
+// Staking, vault and bridge contracts never count as sales, whatever else happened
+function ignoreListRule(ignoredContracts) {
+    const ignored = normalizeList(ignoredContracts);
+
+    return {
+        name: 'ignoreList',
+        evaluate({ tx, transfer }) {
+            const parties = [tx.to, transfer.from, transfer.to].filter(Boolean);
+            const hit = parties.find(address => ignored.has(address.toLowerCase()));
+
+            return hit
+                ? { veto: true, detail: `Involves ignored contract ${hit}` }
+                : { matched: false, detail: 'No ignored contracts involved' };
+        }
+    };
+}
+
+// The tx went to (or emitted a fill event from) a marketplace we trust
+function knownMarketplaceRule(knownMarketplaces, weight = 60) {
+    const known = normalizeList(knownMarketplaces);
+
+    return {
+        name: 'knownMarketplace',
+        evaluate({ tx, receipt, payment }) {
+            if (payment && payment.priceSource === 'marketplace-event') {
+                return { matched: true, weight, detail: `${payment.marketplaceName} fill event`, marketplace: tx.to };
+            }
+
+            if (tx.to && known.has(tx.to.toLowerCase())) {
+                return { matched: true, weight, detail: `Called marketplace ${tx.to}`, marketplace: tx.to };
+            }
+
+            const emitter = receipt.logs.find(log => known.has(log.address.toLowerCase()));
+            if (emitter) {
+                return { matched: true, weight, detail: `Marketplace ${emitter.address} emitted events`, marketplace: emitter.address };
+            }
+
+            return { matched: false, detail: 'No known marketplace involved' };
+        }
+    };
+}
+
+// Someone actually paid for the token. Required: a marketplace call that moved a token
+// without paying anyone (a transfer through the exchange, a cancelled fill) is not a sale.
+// A bare tx.value only counts on a known marketplace; elsewhere it is as likely a staking,
+// bridge or migration fee, and nothing shows the seller got it.
+function paymentToSellerRule(weight = 40) {
+    return {
+        name: 'paymentToSeller',
+        required: true,
+        evaluate({ payment, matched }) {
+            if (!payment) return { matched: false, detail: 'No payment found' };
+
+            if (payment.priceSource === 'native-value' && !matched.has('knownMarketplace')) {
+                return { matched: false, detail: `${payment.price} sent with the tx, but not through a known marketplace` };
+            }
+            return { matched: true, weight, detail: `${payment.price} via ${payment.priceSource}` };
+        }
+    };
+}
+
+class SaleClassifier {
+    constructor(options = {}) {
+        this.threshold = options.threshold !== undefined ? options.threshold : 40;
+        this.rules = options.rules || [
+            ignoreListRule(options.ignoredContracts),
+            knownMarketplaceRule(options.knownMarketplaces),
+            paymentToSellerRule()
+        ];
+    }
+
+    addRule(rule) {
+        this.rules.push(rule);
+        return this;
+    }
+
+    async classify(context) {
+        const reasons = [];
+        let confidence = 0;
+        let vetoed = false;
+        let missingRequired = false;
+        let marketplace = null;
+        const matched = new Set();
+
+        for (const rule of this.rules) {
+            const result = await rule.evaluate({ ...context, matched });
+
+            reasons.push({
+                rule: rule.name,
+                matched: Boolean(result.matched || result.veto),
+                veto: Boolean(result.veto),
+                required: Boolean(rule.required),
+                weight: result.matched ? result.weight || 0 : 0,
+                detail: result.detail
+            });
+
+            if (result.veto) vetoed = true;
+            if (rule.required && !result.matched) missingRequired = true;
+            if (result.matched) {
+                confidence += result.weight || 0;
+                matched.add(rule.name);
+            }
+            if (result.marketplace && !marketplace) marketplace = result.marketplace;
+        }
+
+        confidence = Math.min(100, confidence);
+
+        return {
+            isSale: !vetoed && !missingRequired && confidence >= this.threshold,
+            confidence: vetoed ? 0 : confidence,
+            marketplace,
+            reasons
+        };
+    }
+}
+
+module.exports = {
+    SaleClassifier,
+    ignoreListRule,
+    knownMarketplaceRule,
+    paymentToSellerRule
+};
@@ -0,0 +1,132 @@
+// 📊 Aggregate figures over recorded sales.
+// Prices are grouped by currency so HYPE and ERC-20 sales never get summed together;
+// the USD volume uses the value stored with each sale at its block time.
+// The top sale is ranked by USD value, or by raw amount when no sale has a USD value.
+
+const PERIODS = {
+    '24h': 24 * 60 * 60 * 1000,
+    '7d': 7 * 24 * 60 * 60 * 1000,
+    '30d': 30 * 24 * 60 * 60 * 1000
+};
+
+function computeSaleStats(sales) {
+    const byCurrency = {};
+    let unpriced = 0;
+    let usdVolume = 0;
+    const buyers = new Set();
+    const sellers = new Set();
+
+    for (const sale of sales) {
+        buyers.add(sale.to.toLowerCase());
+        sellers.add(sale.from.toLowerCase());
+
+        if (typeof sale.usdValue === 'number') {
+            usdVolume += sale.usdValue;
+        }
+
+        if (!sale.currency || typeof sale.priceAmount !== 'number') {
+            unpriced++;
+            continue;
+        }
+
+        const bucket = byCurrency[sale.currency] || (byCurrency[sale.currency] = {
+            count: 0,
+            volume: 0,
+            floor: Infinity,
+            max: 0
+        });
+
+        bucket.count++;
+        bucket.volume += sale.priceAmount;
+        bucket.floor = Math.min(bucket.floor, sale.priceAmount);
+        bucket.max = Math.max(bucket.max, sale.priceAmount);
+    }
+
+    for (const bucket of Object.values(byCurrency)) {
+        bucket.average = bucket.volume / bucket.count;
+    }
+
+    return {
+        count: sales.length,
+        unpriced,
+        usdVolume,
+        uniqueBuyers: buyers.size,
+        uniqueSellers: sellers.size,
+        topSale: findTopSale(sales),
+        byCurrency
+    };
+}
+
+function findTopSale(sales) {
+    const valued = sales.filter(sale => typeof sale.usdValue === 'number');
+    const key = valued.length > 0 ? 'usdValue' : 'priceAmount';
+    const candidates = valued.length > 0 ? valued : sales.filter(sale => typeof sale.priceAmount === 'number');
+
+    return candidates.reduce((top, sale) => (!top || sale[key] > top[key] ? sale : top), null);
+}
+
+/**
+ * Creator royalty and marketplace fee totals for the treasury, from the breakdown stored with
+ * each sale. Amounts are summed per currency; USD uses each sale's price at its block time.
+ * Sales recorded without a breakdown (no payment transfers found) are only counted.
+ */
+function computeRoyaltyTotals(sales) {
+    const byCurrency = {};
+    const byVenue = {};
+    const byCollection = {};
+    let royaltyUsd = 0;
+    let marketplaceFeeUsd = 0;
+    let withoutBreakdown = 0;
+
+    for (const sale of sales) {
+        const { breakdown } = sale;
+        if (!breakdown) {
+            withoutBreakdown++;
+            continue;
+        }
+
+        const usdPrice = typeof sale.usdPrice === 'number' ? sale.usdPrice : null;
+        const currency = byCurrency[breakdown.currency] || (byCurrency[breakdown.currency] = {
+            count: 0,
+            sellerProceeds: 0,
+            marketplaceFee: 0,
+            royalty: 0,
+            other: 0
+        });
+
+        currency.count++;
+        for (const key of ['sellerProceeds', 'marketplaceFee', 'royalty', 'other']) {
+            currency[key] += breakdown[key] || 0;
+        }
+
+        for (const [groups, key] of [[byVenue, sale.venue || 'unknown'], [byCollection, sale.collection.toLowerCase()]]) {
+            const group = groups[key] || (groups[key] = { count: 0, royaltyUsd: 0, marketplaceFeeUsd: 0 });
+            group.count++;
+            if (usdPrice !== null) {
+                group.royaltyUsd += breakdown.royalty * usdPrice;
+                group.marketplaceFeeUsd += breakdown.marketplaceFee * usdPrice;
+            }
+        }
+
+        if (usdPrice !== null) {
+            royaltyUsd += breakdown.royalty * usdPrice;
+            marketplaceFeeUsd += breakdown.marketplaceFee * usdPrice;
+        }
+    }
+
+    return {
+        count: sales.length,
+        withoutBreakdown,
+        royaltyUsd,
+        marketplaceFeeUsd,
+        byCurrency,
+        byVenue,
+        byCollection
+    };
+}
+
+function formatAmount(value) {
+    return Number(value.toFixed(4)).toString();
+}
+
+module.exports = { PERIODS, computeSaleStats, computeRoyaltyTotals, formatAmount };
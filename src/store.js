@@ -0,0 +1,215 @@
+const fs = require('fs');
+const path = require('path');
+const { logger } = require('./logger');
+
+const log = logger.child({ component: 'store' });
+
+// 💾 JSON-file persistence for the block cursor, posted transfer IDs and recorded sales.
+// Mutations only mark the store dirty; the file is rewritten once per scan chunk (when the
+// cursor moves), `flushDelay` ms after other changes, or by an explicit flush() at exit.
+// Writes go to a temp file first and are renamed into place so a crash
+// mid-write never leaves a truncated store behind.
+class BotStore {
+    constructor(options = {}) {
+        this.filePath = options.filePath || path.join(process.cwd(), 'data', 'store.json');
+        this.maxSeenTransfers = options.maxSeenTransfers || 5000;
+        this.persist = options.persist !== false; // false keeps everything in memory (replays)
+        this.flushDelay = options.flushDelay || 1000;
+        this.dirty = false;
+        this.flushTimer = null;
+        this.data = {
+            lastProcessedBlock: null,
+            seenTransfers: [],
+            sales: [],
+            listings: {},
+            listingEnds: {} // Last transfer or delist per token, as { blockNumber, logIndex }
+        };
+        this.seenIndex = new Set();
+    }
+
+    // A store that does not parse is moved aside to `<file>.corrupt-<timestamp>` and startup
+    // fails: starting empty would rescan from the lookback and post old sales again
+    load() {
+        if (fs.existsSync(this.filePath)) {
+            const raw = fs.readFileSync(this.filePath, 'utf8');
+            let parsed;
+            try {
+                parsed = JSON.parse(raw);
+            } catch (error) {
+                const corruptPath = `${this.filePath}.corrupt-${Date.now()}`;
+                fs.renameSync(this.filePath, corruptPath);
+                log.error('Store is not valid JSON, moved it aside', { file: this.filePath, movedTo: corruptPath, err: error });
+                throw new Error(`Store ${this.filePath} is not valid JSON (moved to ${corruptPath}): ${error.message}`);
+            }
+            this.data = { ...this.data, ...parsed };
+            log.info('Loaded store', { file: this.filePath });
+        } else {
+            log.info('No store found, starting fresh', { file: this.filePath });
+        }
+
+        this.seenIndex = new Set(this.data.seenTransfers);
+        return this;
+    }
+
+    // Marks the store changed; the write follows within `flushDelay` ms
+    save() {
+        if (!this.persist) return;
+
+        this.dirty = true;
+        if (!this.flushTimer) {
+            this.flushTimer = setTimeout(() => {
+                try {
+                    this.flush();
+                } catch (error) {
+                    log.error('Failed to write store, will retry', { file: this.filePath, err: error });
+                    this.save();
+                }
+            }, this.flushDelay);
+            this.flushTimer.unref();
+        }
+    }
+
+    // Writes pending changes now
+    flush() {
+        clearTimeout(this.flushTimer);
+        this.flushTimer = null;
+        if (!this.persist || !this.dirty) return;
+
+        const dir = path.dirname(this.filePath);
+        fs.mkdirSync(dir, { recursive: true });
+
+        const tmpPath = `${this.filePath}.tmp`;
+        fs.writeFileSync(tmpPath, JSON.stringify(this.data, null, 2));
+        fs.renameSync(tmpPath, this.filePath);
+        this.dirty = false;
+    }
+
+    getCursor() {
+        return this.data.lastProcessedBlock;
+    }
+
+    // Called once per scanned chunk, so this is where batched changes reach the disk
+    setCursor(blockNumber) {
+        this.data.lastProcessedBlock = blockNumber;
+        this.save();
+        this.flush();
+    }
+
+    hasSeen(transferId) {
+        return this.seenIndex.has(transferId);
+    }
+
+    markSeen(transferId) {
+        if (this.seenIndex.has(transferId)) return;
+
+        this.seenIndex.add(transferId);
+        this.data.seenTransfers.push(transferId);
+
+        // Keep only the most recent IDs - anything older sits behind the cursor anyway
+        if (this.data.seenTransfers.length > this.maxSeenTransfers) {
+            const dropped = this.data.seenTransfers.splice(
+                0,
+                this.data.seenTransfers.length - this.maxSeenTransfers
+            );
+            dropped.forEach(id => this.seenIndex.delete(id));
+        }
+
+        this.save();
+    }
+
+    // Sales are never dropped: stats, token history, royalties and exports all read them from
+    // here, and a backfill of older blocks must not push out the newest ones
+    recordSale(sale) {
+        this.data.sales.push(sale);
+        this.save();
+    }
+
+    updateSale(id, patch) {
+        for (let i = this.data.sales.length - 1; i >= 0; i--) {
+            if (this.data.sales[i].id === id) {
+                Object.assign(this.data.sales[i], patch);
+                break;
+            }
+        }
+
+        this.save();
+    }
+
+    // Oldest first, as live ingestion appends them - needed after a backfill adds older sales
+    sortSales() {
+        this.data.sales.sort((a, b) => (a.blockNumber - b.blockNumber) || ((a.logIndex || 0) - (b.logIndex || 0)));
+        this.save();
+    }
+
+    // Active listings, keyed by collection and token, so the floor can be read off them.
+    // Transfers are scanned before order events, so a listing that a later transfer or delist
+    // already ended (e.g. listed and sold within one chunk) is not added.
+    setListing(collection, tokenId, listing) {
+        const key = `${collection.toLowerCase()}-${tokenId}`;
+        if (!isAfter(listing, this.data.listingEnds[key])) return;
+
+        this.data.listings[key] = listing;
+        this.save();
+    }
+
+    // With `position` ({ blockNumber, logIndex } of the transfer or delist), a listing made
+    // after it is kept: a backfill or replay that reaches an old transfer or delist must not
+    // end the token's current listing
+    removeListing(collection, tokenId, position = null) {
+        const key = `${collection.toLowerCase()}-${tokenId}`;
+
+        if (position && isAfter(position, this.data.listingEnds[key])) {
+            this.data.listingEnds[key] = { blockNumber: position.blockNumber, logIndex: position.logIndex || 0 };
+            this.save();
+        }
+
+        const listing = this.data.listings[key];
+        if (!listing) return;
+        if (position && isAfter(listing, position)) return;
+
+        delete this.data.listings[key];
+        this.save();
+    }
+
+    activeListings(collection, now = Date.now()) {
+        const prefix = `${collection.toLowerCase()}-`;
+
+        return Object.entries(this.data.listings)
+            .filter(([key, listing]) => key.startsWith(prefix) && (!listing.expiresAt || listing.expiresAt > now))
+            .map(([, listing]) => listing);
+    }
+
+    // Newest first, optionally narrowed by collection, token, wallet or time.
+    // Sales retracted after a reorg are left out unless `includeRetracted` is set.
+    querySales({ collection, tokenId, wallet, since, until, limit, includeRetracted = false } = {}) {
+        const collectionKey = collection ? collection.toLowerCase() : null;
+        const walletKey = wallet ? wallet.toLowerCase() : null;
+        const results = [];
+
+        for (let i = this.data.sales.length - 1; i >= 0; i--) {
+            const sale = this.data.sales[i];
+
+            if (sale.retracted && !includeRetracted) continue;
+            if (collectionKey && sale.collection.toLowerCase() !== collectionKey) continue;
+            if (tokenId !== undefined && sale.tokenId !== String(tokenId)) continue;
+            if (walletKey && sale.from.toLowerCase() !== walletKey && sale.to.toLowerCase() !== walletKey) continue;
+            if (since && sale.timestamp < since) continue;
+            if (until && sale.timestamp > until) continue;
+
+            results.push(sale);
+            if (limit && results.length >= limit) break;
+        }
+
+        return results;
+    }
+}
+
+// Whether chain position `a` comes after `b`; anything is after a missing position. Entries
+// without a block number (saved before positions were kept) are never after anything.
+function isAfter(a, b) {
+    if (!b) return true;
+    if (!a || typeof a.blockNumber !== 'number') return false;
+    return a.blockNumber > b.blockNumber || (a.blockNumber === b.blockNumber && (a.logIndex || 0) > (b.logIndex || 0));
+}
+
+module.exports = { BotStore };
@@ -0,0 +1,59 @@
+// 🧹 Folds several sales into one "sweep" so a floor sweep is a single post.
+// Totals are only summed when every item was paid in the same currency.
+const { formatAmount } = require('./stats');
+
+function buildSweep(sales) {
+    const ordered = [...sales].sort((a, b) =>
+        (a.blockNumber - b.blockNumber) || ((a.logIndex || 0) - (b.logIndex || 0))
+    );
+    const first = ordered[0];
+    const currencies = new Set(ordered.map(sale => sale.currency).filter(Boolean));
+    const priced = ordered.filter(sale => typeof sale.priceAmount === 'number');
+    const sellers = new Set(ordered.map(sale => sale.from.toLowerCase()));
+    const txHashes = [...new Set(ordered.map(sale => sale.txHash))];
+
+    const sweep = {
+        isSweep: true,
+        collection: first.collection,
+        tokenId: first.tokenId,
+        tokenIds: ordered.map(sale => sale.tokenId),
+        count: ordered.length,
+        from: sellers.size === 1 ? first.from : null,
+        sellerCount: sellers.size,
+        to: first.to,
+        txHash: first.txHash,
+        txHashes,
+        blockNumber: first.blockNumber,
+        logIndex: first.logIndex,
+        marketplace: first.marketplace,
+        venue: first.venue,
+        confidence: Math.min(...ordered.map(sale => sale.confidence || 0)),
+        timestamp: first.timestamp,
+        items: ordered,
+        totalAmount: null,
+        perItemAmount: null,
+        currency: null,
+        price: null,
+        perItemPrice: null,
+        usdValue: null
+    };
+
+    if (currencies.size === 1 && priced.length === ordered.length) {
+        const currency = [...currencies][0];
+        const total = priced.reduce((sum, sale) => sum + sale.priceAmount, 0);
+
+        sweep.currency = currency;
+        sweep.totalAmount = total;
+        sweep.perItemAmount = total / ordered.length;
+        sweep.price = `${formatAmount(total)} ${currency}`;
+        sweep.perItemPrice = `${formatAmount(sweep.perItemAmount)} ${currency}`;
+    }
+
+    if (ordered.every(sale => typeof sale.usdValue === 'number')) {
+        sweep.usdValue = ordered.reduce((sum, sale) => sum + sale.usdValue, 0);
+    }
+
+    return sweep;
+}
+
+module.exports = { buildSweep };
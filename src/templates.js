@@ -0,0 +1,170 @@
+const fs = require('fs');
+const path = require('path');
+const { EmbedBuilder } = require('discord.js');
+const { parseColor } = require('./collections');
+const { renderTemplate } = require('./notifiers/template');
+const { logger } = require('./logger');
+
+const log = logger.child({ component: 'templates' });
+
+const BUILT_IN_TEMPLATES = path.join(__dirname, '..', 'templates', 'default.json');
+const DEFAULT_LOCALES_DIR = path.join(__dirname, '..', 'locales');
+const LAYOUT_ALIASES = { full: 'rich' }; // Guild settings saved before layouts existed
+
+function listLocales(dir = DEFAULT_LOCALES_DIR) {
+    try {
+        return fs.readdirSync(dir)
+            .filter(file => file.endsWith('.json'))
+            .map(file => path.basename(file, '.json'))
+            .sort();
+    } catch (error) {
+        return ['en'];
+    }
+}
+
+// 📝 Embed templates and locale strings for what the bot posts to Discord.
+// A layout (built in: rich and compact) maps message kinds - sales, status posts, mints and
+// burns, the listing feed and market reports - to JSON embed templates whose strings use
+// {placeholders}. Labels, and the wording of command replies, live in
+// locale files (locales/<code>.json) as named strings that may use placeholders themselves,
+// and templates reference them like any other value, so a translation needs no template.
+// TEMPLATES_FILE adds or overrides layouts and picks the layout and locale per channel.
+class EmbedTemplates {
+    constructor(options = {}) {
+        const custom = options.custom || {};
+
+        this.layouts = JSON.parse(fs.readFileSync(BUILT_IN_TEMPLATES, 'utf8'));
+        for (const [name, layout] of Object.entries(custom.layouts || {})) {
+            this.layouts[name] = { ...(this.layouts[name] || {}), ...layout };
+        }
+
+        this.channels = custom.channels || {}; // channelId -> { layout, locale }
+        this.defaults = { layout: options.layout || 'rich', locale: options.locale || 'en' };
+        this.localesDir = options.localesDir || DEFAULT_LOCALES_DIR;
+        this.locales = new Map();
+
+        // Resolve every template once, so a broken `extends` fails startup rather than a post
+        for (const [name, layout] of Object.entries(this.layouts)) {
+            Object.keys(layout).filter(kind => kind !== 'extends').forEach(kind => this.template(name, kind));
+        }
+    }
+
+    // Explicit channel entries win over the guild's /setup choices, which win over the defaults
+    forChannel(channelId, guild = null) {
+        const channel = this.channels[channelId] || {};
+
+        return {
+            layout: channel.layout || (guild && guild.embedStyle) || this.defaults.layout,
+            locale: channel.locale || (guild && guild.locale) || this.defaults.locale
+        };
+    }
+
+    /**
+     * The template for one kind in a layout. Layouts fall back to the layout they `extends`
+     * (and finally to rich) for kinds they leave out. A template can `extends` another kind
+     * and override only some keys; extending its own kind continues in the parent layout.
+     * `chain` holds the layout.kind templates already on the way here, to catch loops.
+     */
+    template(layout, kind, from = layout, chain = []) {
+        const wanted = LAYOUT_ALIASES[from] || from;
+        let name = this.layouts[wanted] ? wanted : 'rich';
+        const visited = new Set();
+
+        while (name && this.layouts[name] && !visited.has(name)) {
+            visited.add(name);
+            const { extends: parentLayout, [kind]: template } = this.layouts[name];
+
+            if (template) {
+                const { extends: base, ...overrides } = template;
+                if (!base) return overrides;
+
+                const step = `${name}.${kind}`;
+                if (chain.includes(step)) {
+                    throw new Error(`Templates extend each other in a loop: ${[...chain, step].join(' → ')} (check TEMPLATES_FILE)`);
+                }
+
+                const next = base === kind ? parentLayout || (name === 'rich' ? null : 'rich') : layout;
+                return next ? { ...this.template(layout, base, next, [...chain, step]), ...overrides } : overrides;
+            }
+
+            name = parentLayout;
+        }
+
+        if (!visited.has('rich')) {
+            return this.template(layout, kind, 'rich', chain);
+        }
+        throw new Error(`No "${kind}" template in layout "${layout}"`);
+    }
+
+    // The locale's strings over English, so a partial translation still renders
+    strings(locale = this.defaults.locale) {
+        if (!this.locales.has(locale)) {
+            const english = locale === 'en' ? {} : this.strings('en');
+            let own = {};
+
+            try {
+                own = JSON.parse(fs.readFileSync(path.join(this.localesDir, `${locale}.json`), 'utf8'));
+            } catch (error) {
+                log.error('Could not read locale', { locale, err: error });
+            }
+
+            this.locales.set(locale, { ...english, ...own });
+        }
+
+        return this.locales.get(locale);
+    }
+
+    /**
+     * Renders one kind into an EmbedBuilder. Placeholders without a value render empty,
+     * fields that end up with no name or value are left out, and a field with `when` is
+     * only shown when that variable has a value.
+     */
+    render(kind, variables, selection = {}) {
+        const template = this.template(selection.layout || this.defaults.layout, kind);
+        const strings = this.strings(selection.locale || this.defaults.locale);
+
+        const values = { ...variables };
+        for (const [key, text] of Object.entries(strings)) {
+            if (values[key] === undefined) values[key] = renderTemplate(text, variables, '');
+        }
+        const fill = (text, limit) => truncate(renderTemplate(String(text || ''), values, '').trim(), limit);
+        const isLink = value => /^https?:\/\//.test(value);
+
+        const embed = new EmbedBuilder();
+        const title = fill(template.title, 256);
+        const description = fill(template.description, 4096);
+        const url = fill(template.url);
+        const color = fill(template.color);
+        const thumbnail = fill(template.thumbnail);
+        const image = fill(template.image);
+        const footer = fill(template.footer, 2048);
+
+        if (title) embed.setTitle(title);
+        if (description) embed.setDescription(description);
+        if (isLink(url)) embed.setURL(url);
+        if (color) embed.setColor(parseColor(color));
+        if (isLink(thumbnail)) embed.setThumbnail(thumbnail);
+        if (isLink(image)) embed.setImage(image);
+        if (template.timestamp) embed.setTimestamp();
+
+        const fields = (template.fields || [])
+            .filter(field => !field.when || (values[field.when] !== undefined && values[field.when] !== null && values[field.when] !== ''))
+            .map(field => ({ name: fill(field.name, 256), value: fill(field.value, 1024), inline: Boolean(field.inline) }))
+            .filter(field => field.name && field.value)
+            .slice(0, 25);
+        if (fields.length > 0) embed.addFields(fields);
+
+        if (footer) {
+            const iconURL = fill(template.footerIcon);
+            embed.setFooter(isLink(iconURL) ? { text: footer, iconURL } : { text: footer });
+        }
+
+        return embed;
+    }
+}
+
+function truncate(text, limit) {
+    return limit && text.length > limit ? `${text.slice(0, limit - 3)}...` : text;
+}
+
+module.exports = { EmbedTemplates, listLocales };